@@ -1,125 +1,874 @@
 const express = require('express');
 const cors = require('cors');
-const cron = require('node-cron');
 const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
-const { findGroupByName, isUserAdmin } = require('./utils');
+const { Client, LocalAuth, MessageMedia, MessageAck } = require('whatsapp-web.js');
+const { resolveGroup, isUserAdmin, isTaskCreatorAdmin } = require('./utils');
+const { DRAFT_STATUSES, getDraft, listDrafts, createDraft, getReviewError, reviewDraft, recordDraftResult } = require('./drafts');
+const { checkPolicy } = require('./policies');
+const { requireRole, loadApiKeys } = require('./auth');
+const { createGroupDirectory, describeGroup } = require('./group-directory');
+const { QR_FORMATS, createSessionState, renderQr } = require('./whatsapp-session');
+const { createEventStream } = require('./event-stream');
+const { createClientSupervisor } = require('./client-supervisor');
+const { createSendQueue } = require('./send-queue');
+const { DEFAULT_SESSION_ID, createSessionManager } = require('./session-manager');
+const { COMMAND_PREFIX, parseCommand, createChatCommands } = require('./chat-commands');
+const { loadAutoReplies, parseAutoReply, createAutoReply, deleteAutoReply, createAutoResponder } = require('./auto-replies');
+const { BUILT_IN_VARIABLES, loadTemplates, getTemplate, renderTemplate, parseVariables, parseTemplate, createTemplate, updateTemplate, deleteTemplate, getBuiltInVariables, renderTaskMessage } = require('./templates');
+const { parseMentions } = require('./mentions');
+const { VARIANT_MODES, parseVariants, assignVariantMedia, getVariantMedia, removeTaskMedia } = require('./variants');
+const { MEDIA_FIELDS, MAX_ATTACHMENTS, MAX_UPLOAD_BYTES, mediaFileFilter, describeUploadError, collectRequestMedia, toMediaItem } = require('./media');
+const { sendToGroup } = require('./group-send');
+const { loadWebhooks, describeWebhook, parseWebhook, createWebhook, deleteWebhook, queryAttempts, createWebhookDispatcher } = require('./webhooks');
+const { recordDelivery } = require('./delivery-log');
+const { createSharedRoutes } = require('./shared-routes');
+const { parseBroadcastTarget, resolveBroadcastTargets, describeTarget, loadGroupLists, saveGroupList, deleteGroupList, parseList } = require('./broadcast');
+const {
+    createScheduler,
+    parseScheduleOptions,
+    validateTaskChanges,
+    isFinished,
+    getTaskSession,
+    getNextRuns
+} = require('./scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
-app.use(cors());
+// Browsers may only call the API from these origins when CORS_ORIGINS is set (comma-separated)
+app.use(cors(process.env.CORS_ORIGINS ? { origin: process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()) } : undefined));
 app.use(express.json());
 
-// WhatsApp Client Setup
-let client = null;
-let isClientReady = false;
+// Pushes client, schedule, queue, message and draft events to /api/events subscribers
+const eventStream = createEventStream();
 
-const initializeClient = () => {
-    try {
-        client = new Client({
-            authStrategy: new LocalAuth(),
-            puppeteer: {
-                headless: true,
-                timeout: 120000, // Increase to 2 minutes
-                args: [
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-dev-shm-usage',
-                    '--disable-accelerated-2d-canvas',
-                    '--no-first-run',
-                    '--no-zygote',
-                    '--disable-gpu',
-                    '--disable-web-security',
-                    '--disable-features=VizDisplayCompositor',
-                    '--disable-background-timer-throttling',
-                    '--disable-backgrounding-occluded-windows',
-                    '--disable-renderer-backgrounding',
-                    '--disable-ipc-flooding-protection'
-                ]
+// POSTs incoming group messages, membership changes and delivery acks to registered webhooks
+const webhookDispatcher = createWebhookDispatcher();
+
+// Name of a WhatsApp ack level, e.g. 3 -> 'read'
+const getAckName = (ack) => {
+    const name = Object.keys(MessageAck).find(key => MessageAck[key] === ack);
+    return name ? name.replace('ACK_', '').toLowerCase() : null;
+};
+
+// Build a new WhatsApp client for a session; its supervisor decides when to start and replace it.
+// The default session keeps the auth data from before sessions existed, the others get their own.
+const createWhatsAppClient = (sessionId) => {
+    return new Client({
+        authStrategy: sessionId === DEFAULT_SESSION_ID ? new LocalAuth() : new LocalAuth({ clientId: sessionId }),
+        puppeteer: {
+            headless: true,
+            timeout: 120000, // Increase to 2 minutes
+            args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-dev-shm-usage',
+                '--disable-accelerated-2d-canvas',
+                '--no-first-run',
+                '--no-zygote',
+                '--disable-gpu',
+                '--disable-web-security',
+                '--disable-features=VizDisplayCompositor',
+                '--disable-background-timer-throttling',
+                '--disable-backgrounding-occluded-windows',
+                '--disable-renderer-backgrounding',
+                '--disable-ipc-flooding-protection'
+            ]
+        }
+    });
+};
+
+// Where LocalAuth keeps a non-default session's login
+const getSessionAuthPath = (sessionId) => path.join('./.wwebjs_auth', `session-${sessionId}`);
+
+// Build one linked WhatsApp account: its client, owned by a supervisor that replaces
+// it with backoff whenever it is lost, its login state, group directory and send queue.
+// The session's scheduled messages and queue are paused while it is down.
+const createWhatsAppSession = ({ id, label }) => {
+    const wa = {
+        id,
+        label,
+        client: null,
+        isReady: false,
+        // Login state and QR code, reported by /api/whatsapp/status and /api/whatsapp/qr
+        state: createSessionState(),
+        // Groups are looked up here rather than by scanning every chat
+        groups: createGroupDirectory()
+    };
+
+    // Tell subscribers about a client lifecycle event along with the resulting session state
+    const publishSessionEvent = (type, details = {}) => {
+        eventStream.publish('session', type, { sessionId: id, ...wa.state.getStatus(), ...details });
+    };
+
+    // Send an event about one of this session's groups to the webhooks that want it
+    const notifyWebhooks = async (event, groupId, data) => {
+        try {
+            const group = await wa.groups.getById(groupId);
+            const groupName = group ? group.name : null;
+            await webhookDispatcher.dispatch(event, { sessionId: id, groupId, groupName, ...data }, { sessionId: id, groupId, groupName });
+        } catch (error) {
+            console.error(`❌ Failed to notify webhooks of ${event}:`, error.message);
+        }
+    };
+
+    // Membership and admin changes carry who did it and who it happened to
+    const notifyGroupChange = (event) => (notification) => {
+        notifyWebhooks(event, notification.chatId, {
+            type: notification.type,
+            author: notification.author || null,
+            recipientIds: notification.recipientIds || [],
+            timestamp: new Date(notification.timestamp * 1000).toISOString()
+        });
+    };
+
+    // Attach the app's handlers to a freshly created client
+    const setupClient = (client) => {
+        wa.client = client;
+        wa.state.setState('initializing');
+        publishSessionEvent('initializing');
+        wa.groups.attach(client);
+
+        client.on('qr', (qr) => {
+            console.log(`QR Code received for session "${id}". Scan it from GET /api/whatsapp/qr?sessionId=${id}`);
+            wa.state.setQr(qr);
+            publishSessionEvent('qr');
+        });
+
+        client.on('authenticated', () => {
+            console.log(`🔐 WhatsApp session "${id}" authenticated`);
+            wa.state.setState('authenticating');
+            publishSessionEvent('authenticated');
+        });
+
+        client.on('auth_failure', (msg) => {
+            console.error(`❌ Authentication failed for session "${id}":`, msg);
+            wa.state.setState('auth_failed', { reason: msg });
+            publishSessionEvent('auth_failure');
+        });
+
+        client.on('group_update', (notification) => {
+            // Follow renames so schedules keep showing the group's current name
+            if (notification.type === 'subject') {
+                const renamed = scheduler.renameGroup(notification.chatId, notification.body);
+                if (renamed > 0) {
+                    console.log(`✏️ Group ${notification.chatId} renamed to "${notification.body}" (${renamed} scheduled message(s) updated)`);
+                }
             }
         });
-    } catch (error) {
-        console.error('❌ Error creating WhatsApp client:', error);
-        return;
-    }
 
-    client.on('qr', (qr) => {
-        console.log('QR Code received. Please scan with WhatsApp.');
-        // In production, you might want to send this QR to frontend
-    });
+        // Forward incoming group messages to dashboard subscribers and webhooks
+        client.on('message', async (msg) => {
+            if (!msg.from.endsWith('@g.us')) {
+                return;
+            }
 
-    client.on('ready', () => {
-        console.log('✅ WhatsApp Client is ready');
-        isClientReady = true;
-    });
+            if (parseCommand(msg.body)) {
+                handleChatCommand(wa, msg);
+            } else {
+                handleAutoReply(wa, msg);
+            }
 
-    client.on('disconnected', (reason) => {
-        console.log('❌ Client was logged out:', reason);
-        isClientReady = false;
+            try {
+                const group = await wa.groups.getById(msg.from);
+                eventStream.publish('messages', 'group_message', {
+                    sessionId: id,
+                    groupId: msg.from,
+                    groupName: group ? group.name : null,
+                    author: msg.author || null,
+                    body: msg.body,
+                    type: msg.type,
+                    hasMedia: msg.hasMedia,
+                    timestamp: new Date(msg.timestamp * 1000).toISOString()
+                });
+            } catch (error) {
+                console.error('❌ Failed to publish incoming message:', error.message);
+            }
 
-        // Attempt to reconnect after a delay
-        console.log('🔄 Attempting to reconnect in 5 seconds...');
-        setTimeout(() => {
-            initializeClient();
-        }, 5000);
-    });
+            notifyWebhooks('message', msg.from, {
+                messageId: msg.id._serialized,
+                author: msg.author || null,
+                body: msg.body,
+                type: msg.type,
+                hasMedia: msg.hasMedia,
+                timestamp: new Date(msg.timestamp * 1000).toISOString()
+            });
+        });
+
+        client.on('group_join', notifyGroupChange('group_join'));
+        client.on('group_leave', notifyGroupChange('group_leave'));
+        client.on('group_admin_changed', notifyGroupChange('group_admin_changed'));
+
+        // Delivery acks of the messages we sent to groups
+        client.on('message_ack', (msg, ack) => {
+            if (!msg.fromMe || !msg.to.endsWith('@g.us')) {
+                return;
+            }
+
+            notifyWebhooks('message_ack', msg.to, {
+                messageId: msg.id._serialized,
+                ack,
+                ackName: getAckName(ack),
+                body: msg.body,
+                type: msg.type
+            });
+        });
+
+        client.on('change_state', (state) => {
+            console.log(`🔄 WhatsApp state of session "${id}" changed:`, state);
+            wa.state.setConnectionState(state);
+            publishSessionEvent('change_state');
+        });
+
+        client.on('loading_screen', (percent, message) => {
+            console.log(`📱 Loading screen (${id}):`, percent, message);
+            wa.state.setLoading(percent, message);
+            publishSessionEvent('loading_screen');
+        });
+    };
+
+    wa.supervisor = createClientSupervisor({
+        createClient: () => createWhatsAppClient(id),
+        setupClient,
+        onUp: () => {
+            console.log(`✅ WhatsApp session "${id}" is ready`);
+            wa.isReady = true;
+            wa.state.setState('ready');
+            publishSessionEvent('ready');
+            wa.groups.load().catch(error => {
+                console.error(`❌ Failed to load group directory of session "${id}":`, error);
+            });
+            scheduler.rehydrate(id);
+            wa.queue.resume();
+            scheduler.catchUpMissedRuns(id).catch(error => {
+                console.error('❌ Failed to catch up missed scheduled messages:', error);
+            });
+        },
+        onDown: (reason) => {
+            wa.isReady = false;
+            scheduler.suspend(id);
+            wa.queue.pause();
+
+            // An authentication failure keeps its own state so the dashboard can tell it apart
+            if (wa.state.getStatus().state !== 'auth_failed') {
+                wa.state.setState('disconnected', { reason });
+                publishSessionEvent('disconnected');
+            }
+        },
+        onEscalate: ({ failures, reason }) => {
+            console.error(`🚨 WhatsApp session "${id}" has failed ${failures} times in a row. Last error: ${reason}`);
+            eventStream.publish('session', 'escalated', { sessionId: id, ...wa.supervisor.getState(), failures, reason });
+        }
+    }, { name: `WhatsApp client "${id}"` });
 
-    client.on('auth_failure', (msg) => {
-        console.error('❌ Authentication failed:', msg);
-        isClientReady = false;
+    // Every outbound message goes through this queue for rate limiting and retries
+    wa.queue = createSendQueue({}, {
+        onEvent: (type, job) => eventStream.publish('queue', type, { sessionId: id, ...job }),
+        getClient: wa.supervisor.getClient
     });
 
-    client.on('change_state', (state) => {
-        console.log('🔄 WhatsApp state changed:', state);
+    wa.start = () => {
+        // Nothing of this session runs until its client is ready
+        scheduler.suspend(id);
+        wa.supervisor.start();
+    };
+
+    // Unlink the account, shut its client down and forget its login
+    wa.stop = async () => {
+        // Only a linked account can be logged out of WhatsApp
+        const unlink = wa.isReady;
+        wa.isReady = false;
+        scheduler.suspend(id);
+        wa.queue.pause();
+        await wa.supervisor.stop({ unlink });
+        fs.rmSync(getSessionAuthPath(id), { recursive: true, force: true });
+        wa.state.setState('disconnected', { reason: 'Session removed' });
+        publishSessionEvent('removed');
+    };
+
+    return wa;
+};
+
+// Summary of a session for /api/sessions
+const describeSession = (wa) => ({
+    id: wa.id,
+    label: wa.label,
+    isReady: wa.isReady,
+    phoneNumber: wa.isReady ? wa.client.info.wid.user : null,
+    ...wa.state.getStatus(),
+    health: wa.supervisor.getState().health
+});
+
+// Every linked WhatsApp account, keyed by session id
+const sessions = createSessionManager({ createSession: createWhatsAppSession });
+
+// Express middleware that picks the session a request names with sessionId (in the
+// body or query string), falling back to the default one. Routes use it as req.wa.
+const withSession = (req, res, next) => {
+    const sessionId = (req.body && req.body.sessionId) || req.query.sessionId || DEFAULT_SESSION_ID;
+    const wa = sessions.get(sessionId);
+
+    if (!wa) {
+        return res.status(404).json({
+            error: `WhatsApp session "${sessionId}" not found`,
+            sessions: sessions.list().map(session => session.id)
+        });
+    }
+
+    req.wa = wa;
+    next();
+};
+
+// Remove files that belong to a scheduled task
+const cleanupImages = (imagePaths) => {
+    (imagePaths || []).forEach(imagePath => {
+        if (fs.existsSync(imagePath)) {
+            fs.unlinkSync(imagePath);
+        }
     });
+};
+
+// Move uploaded files somewhere they survive until the scheduled task (or the
+// auto-reply rule, with another directory) is done
+const storeScheduledImages = (images, directory = './uploads/scheduled') => images.map(image => {
+    const scheduledImagePath = path.join(directory, `${Date.now()}-${image.originalname}`);
+    // Create scheduled directory if it doesn't exist
+    const scheduledDir = path.dirname(scheduledImagePath);
+    if (!fs.existsSync(scheduledDir)) {
+        fs.mkdirSync(scheduledDir, { recursive: true });
+    }
+    // Move file to scheduled directory
+    fs.renameSync(image.path, scheduledImagePath);
+    return scheduledImagePath;
+});
+
+// Move a request's attachments next to scheduled images and describe them for the task
+const storeScheduledMedia = (files) => storeScheduledImages(files).map((storedPath, index) => toMediaItem(files[index], storedPath));
+
+// Check that an API key may send (action 'send') or schedule (action 'schedule')
+// a message to the group a request names: the group must exist, its policy must
+// allow it and the session's account must be an admin there.
+// Returns { group } or { status, error, ... } ready to send back as an HTTP error.
+const authorizeGroupMessage = async (wa, { groupId, groupName }, { apiKey, action, attachments = [] }) => {
+    const { group, status, error, candidates } = await resolveGroup(wa.groups, { groupId, groupName });
+    if (!group) {
+        return { status, error, candidates };
+    }
+
+    const policyCheck = checkPolicy({ group, apiKey, action, attachments });
+    if (!policyCheck.allowed) {
+        return { status: 403, error: policyCheck.reason, policy: policyCheck.policy };
+    }
+
+    const currentUser = wa.client.info.wid._serialized;
+    const isAdmin = await isUserAdmin(wa.client, group, currentUser);
+    if (!isAdmin) {
+        return { status: 403, error: `You are not an admin in "${group.name}". Only admins can ${action} messages.` };
+    }
+
+    return { group };
+};
+
+// Send a message and its attachments to a group right away and log the delivery.
+// The attachments are deleted afterwards whether or not the send worked.
+const sendMessageNow = async (wa, group, message, media, delivery = {}, { mentions = null } = {}) => {
+    const mediaPaths = media.map(item => item.path);
+    const entry = {
+        source: 'api',
+        groupName: group.name,
+        groupId: group.id._serialized,
+        message,
+        imageCount: media.length,
+        requestedBy: wa.client.info.wid._serialized,
+        sessionId: wa.id,
+        ...delivery
+    };
+
+    try {
+        await sendToGroup(wa.queue, group, message, media, { mentions, selfId: wa.client.info.wid._serialized });
+    } catch (sendError) {
+        recordDelivery({ ...entry, status: 'failed', error: sendError.message });
+        cleanupImages(mediaPaths);
+
+        // Check if it's a session disconnection error
+        if (sendError.message.includes('Session closed') || sendError.message.includes('Protocol error')) {
+            wa.supervisor.reportFailure(sendError.message);
+            throw new Error('WhatsApp session disconnected. Please wait for reconnection and try again.');
+        }
+        throw sendError;
+    }
+
+    cleanupImages(mediaPaths);
+    recordDelivery({ ...entry, status: 'sent' });
+};
+
+// Create a scheduled task for a group from already validated options and start it.
+// The task sends from the given session. Broadcasts pass no group and give their
+// type, target and label with the options instead.
+const scheduleGroupMessage = (wa, group, { message, timing, limits, catchUp, description, media, apiKey, ...extra }) => {
+    const newTask = {
+        id: Date.now().toString(),
+        ...(group ? { groupId: group.id._serialized, groupName: group.name } : { groupName: null }),
+        message,
+        cron: timing.cron,
+        sendAt: timing.sendAt,
+        timezone: timing.timezone || null,
+        description: description || '',
+        startDate: limits.startDate || null,
+        endDate: limits.endDate || null,
+        maxOccurrences: limits.maxOccurrences || null,
+        currentOccurrences: 0,
+        catchUp: catchUp.catchUp || 'skip',
+        maxLatenessMinutes: catchUp.maxLatenessMinutes || null,
+        status: 'active',
+        createdAt: new Date().toISOString(),
+        createdBy: wa.client.info.wid._serialized,
+        createdByKey: apiKey,
+        sessionId: wa.id,
+        media,
+        ...extra
+    };
+
+    scheduler.addTask(newTask);
+    return newTask;
+};
+
+// Read the templateId and custom variables of a schedule request. The message
+// defaults to the template's body; the template itself is rendered each time the
+// task fires. Returns { message, templateId, variables } or { status, error }.
+const resolveMessageTemplate = (body) => {
+    const { error, variables } = parseVariables(body.variables);
+    if (error) {
+        return { status: 400, error };
+    }
+
+    if (!body.templateId) {
+        return { message: body.message, templateId: null, variables };
+    }
+
+    const template = getTemplate(body.templateId);
+    if (!template) {
+        return { status: 404, error: `Template "${body.templateId}" not found` };
+    }
+    return { message: body.message || template.body, templateId: template.id, variables };
+};
+
+// Validate what a schedule request sends and when: its message or template, variants,
+// mentions, timing, limits and missed-run policy. Used for group and broadcast schedules.
+// Returns the parsed fields or { status, error }.
+const parseScheduledMessage = (body, files) => {
+    const { status: templateStatus, error: templateError, message, templateId, variables } = resolveMessageTemplate(body);
+    if (templateError) {
+        return { status: templateStatus, error: templateError };
+    }
+
+    // Variants replace the message; uploads they name in media are only sent with them
+    const { error: variantsError, variants, variantMode } = parseVariants(body, files.map(file => file.originalname));
+    if (variantsError) {
+        return { status: 400, error: variantsError };
+    }
+
+    const { error: mentionsError, mentions } = parseMentions(body.mentions);
+    if (mentionsError) {
+        return { status: 400, error: mentionsError };
+    }
+
+    // Validate the timing, startDate, endDate, maxOccurrences and missed-run policy
+    const { error: optionsError, timing, limits, catchUp } = parseScheduleOptions(body);
+    if (optionsError) {
+        return { status: 400, error: optionsError };
+    }
+
+    return { message, templateId, variables, variants, variantMode, mentions, timing, limits, catchUp };
+};
 
-    client.on('loading_screen', (percent, message) => {
-        console.log('📱 Loading screen:', percent, message);
+// Keep a schedule request's attachments and create its task from the parsed request
+// (see parseScheduledMessage). group is null for broadcasts.
+const scheduleParsedMessage = (wa, group, parsed, { files, description, apiKey, ...extra }) => {
+    const { message, variants, variantMode, ...fields } = parsed;
+    const items = storeScheduledMedia(files);
+    const media = variants ? assignVariantMedia(variants, files, items) : { media: items };
+
+    return scheduleGroupMessage(wa, group, {
+        ...fields,
+        message: message || (variants ? variants[0].message : ''),
+        description,
+        media: media.media,
+        apiKey,
+        ...extra,
+        ...(variants ? { variants: media.variants, variantMode } : {})
     });
+};
+
+// Validate a schedule request and create the task, for POST /api/messages/schedule
+// and the !schedule chat command. Returns { task } or { status, error, ... } ready
+// to send back as an HTTP error.
+const createScheduledMessage = async (wa, body, { apiKey, files = [] }) => {
+    const { groupId, groupName, cronTime, sendAt, description } = body;
+
+    // Validation
+    if ((!groupName && !groupId) || (!body.message && !body.templateId && !body.variants && files.length === 0) || (!cronTime && !sendAt)) {
+        return { status: 400, error: 'groupName or groupId, a message, templateId, variants or attachments, and either cronTime or sendAt are required' };
+    }
+
+    const parsed = parseScheduledMessage(body, files);
+    if (parsed.error) {
+        return { status: parsed.status, error: parsed.error };
+    }
+
+    if (!wa.isReady) {
+        return { status: 503, error: 'WhatsApp client is not ready. Please try again later.' };
+    }
 
-    console.log('🚀 Initializing WhatsApp client...');
-    client.initialize().catch(err => {
-        console.error('❌ Failed to initialize WhatsApp client:', err);
-        isClientReady = false;
+    // Find the group, by id when given, and check we may schedule there
+    const { group, status, ...rejection } = await authorizeGroupMessage(wa, body, {
+        apiKey,
+        action: 'schedule',
+        attachments: files
     });
+    if (!group) {
+        return { status, ...rejection };
+    }
+
+    // Keep the attachments for scheduled messages and start the task
+    const task = scheduleParsedMessage(wa, group, parsed, { files, description, apiKey });
+    return { task };
+};
+
+// Send one message from a session to every group a broadcast target matches, checking
+// admin rights and the group's policy per group. Results use the same shape as /api/groups/promote-bot.
+// renderMessage(group) gives a per-group text, e.g. for templated scheduled broadcasts.
+const broadcastToGroups = async (wa, target, message, media, { requestedBy, apiKey = null, action = 'send', attachments = [], taskId = null, scheduledFor = null, late = false, renderMessage = null, variantIndex = null, mentions = null }) => {
+    const { groups, missing } = resolveBroadcastTargets(await wa.groups.list(), target);
+
+    const results = missing.map(({ type, value }) => ({
+        groupName: type === 'groupName' ? value : null,
+        groupId: type === 'groupId' ? value : null,
+        status: 'not_found',
+        message: `No group with ${type === 'groupId' ? 'id' : 'name'} "${value}"`
+    }));
+
+    for (const group of groups) {
+        const result = { groupName: group.name, groupId: group.id._serialized };
+        const text = renderMessage ? renderMessage(group) : message;
+        const delivery = {
+            source: 'broadcast',
+            taskId,
+            groupName: group.name,
+            groupId: group.id._serialized,
+            message: text,
+            imageCount: media.length,
+            requestedBy,
+            apiKey,
+            sessionId: wa.id,
+            scheduledFor: scheduledFor ? scheduledFor.toISOString() : null,
+            late,
+            ...(variantIndex !== null ? { variantIndex } : {})
+        };
+
+        const policyCheck = checkPolicy({ group, apiKey, action, attachments, checkDailyLimit: true });
+        if (!policyCheck.allowed) {
+            recordDelivery({ ...delivery, status: 'failed', error: policyCheck.reason });
+            results.push({ ...result, status: 'policy_denied', message: policyCheck.reason });
+            continue;
+        }
+
+        try {
+            const isAdmin = await isUserAdmin(wa.client, group, requestedBy);
+            if (!isAdmin) {
+                recordDelivery({ ...delivery, status: 'failed', error: 'Not an admin in this group' });
+                results.push({ ...result, status: 'no_permission', message: 'You are not an admin in this group' });
+                continue;
+            }
+
+            await sendToGroup(wa.queue, group, text, media, { taskId, mentions, selfId: wa.client.info.wid._serialized });
+            recordDelivery({ ...delivery, status: 'sent' });
+            results.push({ ...result, status: 'sent', message: 'Message sent successfully' });
+        } catch (error) {
+            recordDelivery({ ...delivery, status: 'failed', error: error.message });
+            results.push({ ...result, status: 'error', message: `Failed to send: ${error.message}` });
+        }
+    }
+
+    const sent = results.filter(r => r.status === 'sent').length;
+
+    return {
+        results,
+        summary: {
+            sent,
+            failed: results.length - sent,
+            matched: groups.length,
+            total: results.length
+        }
+    };
+};
+
+// Send a scheduled broadcast; resolves to true when at least one group got it
+const runScheduledBroadcast = async (task, { scheduledFor, late, variant = null } = {}) => {
+    const sessionId = getTaskSession(task);
+    const wa = sessions.get(sessionId);
+
+    if (!wa || !wa.isReady) {
+        const reason = wa ? 'WhatsApp client not ready' : `WhatsApp session "${sessionId}" no longer exists`;
+        console.log(`❌ ${reason}. Scheduled broadcast ${task.id} not sent.`);
+        recordDelivery({
+            source: 'broadcast',
+            status: 'failed',
+            taskId: task.id,
+            message: task.message,
+            requestedBy: task.createdBy || null,
+            apiKey: task.createdByKey || null,
+            sessionId,
+            error: reason
+        });
+        return false;
+    }
+
+    try {
+        const { summary } = await broadcastToGroups(wa, task.target, task.message, getVariantMedia(task, variant), {
+            requestedBy: task.createdBy,
+            apiKey: task.createdByKey || null,
+            action: 'schedule',
+            taskId: task.id,
+            scheduledFor,
+            late,
+            renderMessage: group => renderTaskMessage(task, { group, variant }),
+            variantIndex: variant ? variant.index : null,
+            mentions: task.mentions || null
+        });
+
+        console.log(`📢 Scheduled broadcast ${task.id} sent to ${summary.sent}/${summary.total} group(s)`);
+        return summary.sent > 0;
+    } catch (error) {
+        console.error(`Error sending scheduled broadcast ${task.id}:`, error.message);
+        return false;
+    }
+};
+
+// Send a stored task to its group; resolves to true when the message went out.
+// Attachments are kept until the task is deleted or finishes, so recurring tasks can resend them.
+const runScheduledTask = async (task, { scheduledFor, late, variant = null } = {}) => {
+    if (task.type === 'broadcast') {
+        return runScheduledBroadcast(task, { scheduledFor, late, variant });
+    }
+
+    const { id, groupId, message, createdBy } = task;
+    const media = getVariantMedia(task, variant);
+    let { groupName } = task;
+    const sessionId = getTaskSession(task);
+    const wa = sessions.get(sessionId);
+    const delivery = {
+        source: 'schedule',
+        taskId: id,
+        groupId: groupId || null,
+        groupName,
+        message,
+        imageCount: media.length,
+        requestedBy: createdBy || null,
+        apiKey: task.createdByKey || null,
+        sessionId,
+        scheduledFor: scheduledFor ? scheduledFor.toISOString() : null,
+        late: Boolean(late),
+        ...(variant ? { variantIndex: variant.index } : {})
+    };
+
+    // Log a failed attempt and report it to the scheduler
+    const fail = (reason) => {
+        console.log(`❌ ${reason}. Scheduled message to "${groupName}" not sent.`);
+        recordDelivery({ ...delivery, status: 'failed', error: reason });
+        return false;
+    };
+
+    if (!wa) {
+        return fail(`WhatsApp session "${sessionId}" no longer exists`);
+    }
+
+    if (!wa.isReady) {
+        return fail('WhatsApp client not ready');
+    }
+
+    try {
+        const group = groupId
+            ? await wa.groups.getById(groupId)
+            : (await wa.groups.findByName(groupName))[0];
+        if (!group) {
+            return fail(groupId ? `Group with id "${groupId}" not found` : `Group "${groupName}" not found`);
+        }
+
+        // Keep the stored name current and backfill the id of tasks created before ids were stored
+        if (group.name !== groupName || !groupId) {
+            if (group.name !== groupName) {
+                console.log(`✏️ Group "${groupName}" is now called "${group.name}"`);
+            }
+            scheduler.saveTask(id, { groupId: group.id._serialized, groupName: group.name });
+            groupName = group.name;
+            delivery.groupId = group.id._serialized;
+            delivery.groupName = group.name;
+        }
+
+        const isAdmin = await isTaskCreatorAdmin(wa.client, group, task);
+        if (!isAdmin) {
+            return fail(`User no longer admin in "${groupName}"`);
+        }
+
+        const policyCheck = checkPolicy({ group, apiKey: task.createdByKey, action: 'schedule', checkDailyLimit: true });
+        if (!policyCheck.allowed) {
+            return fail(policyCheck.reason);
+        }
+
+        // Templates and variables are filled in now, so dates and counters are current
+        const text = renderTaskMessage(task, { group, variant });
+        delivery.message = text;
+
+        // Text (with any mentions) as a caption or on its own, then the attachments
+        await sendToGroup(wa.queue, group, text, media, { taskId: id, mentions: task.mentions || null, selfId: wa.client.info.wid._serialized });
+
+        console.log(`✅ Scheduled message sent to "${groupName}" at ${new Date().toLocaleString()} (occurrence ${(task.currentOccurrences || 0) + 1}${task.maxOccurrences ? `/${task.maxOccurrences}` : ''})${variant ? ` using variant ${variant.index + 1}/${task.variants.length}` : ''}${media.length ? ` with ${media.length} attachment(s)` : ''}`);
+        recordDelivery({ ...delivery, status: 'sent' });
+        return true;
+    } catch (error) {
+        console.error(`Error sending scheduled message to "${groupName}":`, error.message);
+        recordDelivery({ ...delivery, status: 'failed', error: error.message });
+        return false;
+    }
+};
+
+// Run a scheduled task and report it to dashboard subscribers
+const runAndPublishTask = async (task, { scheduledFor, late, variant = null } = {}) => {
+    const details = {
+        taskId: task.id,
+        sessionId: getTaskSession(task),
+        type: task.type || 'message',
+        groupName: task.type === 'broadcast' ? task.label : task.groupName,
+        scheduledFor: scheduledFor ? scheduledFor.toISOString() : null,
+        late: Boolean(late),
+        variantIndex: variant ? variant.index : null
+    };
+
+    eventStream.publish('schedule', 'task_fired', details);
+    const sent = await runScheduledTask(task, { scheduledFor, late, variant });
+    eventStream.publish('schedule', sent ? 'task_succeeded' : 'task_failed', details);
+    return sent;
 };
 
-// Initialize client on startup with fallback
-try {
-    console.log('🔄 Attempting to initialize WhatsApp client...');
-    initializeClient();
-
-    // Set a timeout to mark server as ready even if WhatsApp fails
-    setTimeout(() => {
-        if (!isClientReady) {
-            console.log('⚠️  WhatsApp client not ready, but server will continue running');
-            console.log('💡 You can try to reconnect via /api/whatsapp/reconnect endpoint');
-        }
-    }, 60000); // 1 minute timeout
-} catch (error) {
-    console.error('❌ Failed to start WhatsApp client:', error);
-    console.log('🚀 Server will continue running without WhatsApp functionality');
-}
-
-// Helper function to load schedule data
-const loadScheduleData = () => {
+const scheduler = createScheduler({
+    runTask: runAndPublishTask,
+    // Finished tasks are archived, so their attachments are no longer needed
+    onFinish: removeTaskMedia
+});
+
+// Group admins can manage their group's schedules with !commands in the chat
+const chatCommands = createChatCommands({
+    scheduler,
+    // Chat users act as "chat:<their WhatsApp id>" when group policies are checked
+    scheduleMessage: (body, { sessionId, author }) => createScheduledMessage(sessions.get(sessionId), body, { apiKey: `chat:${author}` }),
+    onCancel: removeTaskMedia
+});
+
+// Answer a !command sent to a group, once the sender is confirmed as an admin there
+const handleChatCommand = async (wa, msg) => {
+    const command = parseCommand(msg.body);
+    if (!command || !wa.isReady) {
+        return;
+    }
+
     try {
-        const data = fs.readFileSync('./schedule.json', 'utf8');
-        return JSON.parse(data);
+        const group = await wa.groups.getById(msg.from);
+        if (!group) {
+            return;
+        }
+
+        const isAdmin = await isUserAdmin(wa.client, group, msg.author);
+        const reply = isAdmin
+            ? await chatCommands.run(command, { groupId: msg.from, sessionId: wa.id, author: msg.author })
+            : `Only group admins can use ${COMMAND_PREFIX}${command.name}.`;
+
+        console.log(`💬 ${COMMAND_PREFIX}${command.name} from ${msg.author} in "${group.name}"${isAdmin ? '' : ' refused (not an admin)'}`);
+        await wa.queue.sendMessage(group, reply, { options: { quotedMessageId: msg.id._serialized } });
     } catch (error) {
-        return [];
+        console.error('❌ Failed to run chat command:', error.message);
     }
 };
 
-// Helper function to save schedule data
-const saveScheduleData = (data) => {
-    fs.writeFileSync('./schedule.json', JSON.stringify(data, null, 2));
+// Answers common questions in groups from the rules in auto-replies.json
+const autoResponder = createAutoResponder();
+
+// Reply to a group message that matches an auto-reply rule, as long as the
+// session's account is an admin in the group and the group's policy allows it.
+// Replies count towards the group's daily limit like any other message.
+const handleAutoReply = async (wa, msg) => {
+    if (!wa.isReady) {
+        return;
+    }
+
+    try {
+        const group = await wa.groups.getById(msg.from);
+        if (!group) {
+            return;
+        }
+
+        const found = autoResponder.findReply({ body: msg.body, groupId: msg.from, groupName: group.name, sessionId: wa.id });
+        if (!found) {
+            return;
+        }
+
+        const { rule, match } = found;
+        const isAdmin = await isUserAdmin(wa.client, group, wa.client.info.wid._serialized);
+        if (!isAdmin) {
+            console.log(`⚠️ Auto-reply ${rule.id} matched in "${group.name}" but the bot is not an admin there`);
+            return;
+        }
+
+        const attachments = rule.attachment ? [rule.attachment] : [];
+        const policyCheck = checkPolicy({ group, apiKey: rule.createdBy, action: 'send', attachments, checkDailyLimit: true });
+        if (!policyCheck.allowed) {
+            console.log(`⚠️ Auto-reply ${rule.id} matched in "${group.name}" but was not sent: ${policyCheck.reason}`);
+            return;
+        }
+
+        // Claimed before sending so a burst of matching messages gets one reply
+        autoResponder.markReplied(rule, msg.from);
+
+        // The built-in variables of scheduled messages, plus who wrote and what matched
+        const reply = renderTemplate(rule.reply, {
+            ...getBuiltInVariables({ group }),
+            senderName: (msg._data && msg._data.notifyName) || msg.author,
+            match
+        });
+        const delivery = {
+            source: 'auto-reply',
+            groupName: group.name,
+            groupId: msg.from,
+            message: reply,
+            imageCount: rule.attachment ? 1 : 0,
+            requestedBy: wa.client.info.wid._serialized,
+            sessionId: wa.id,
+            autoReplyId: rule.id
+        };
+
+        try {
+            await wa.queue.sendMessage(group, reply, { options: { quotedMessageId: msg.id._serialized } });
+            if (rule.attachment && fs.existsSync(rule.attachment.path)) {
+                await wa.queue.sendMessage(group, MessageMedia.fromFilePath(rule.attachment.path));
+            }
+        } catch (error) {
+            recordDelivery({ ...delivery, status: 'failed', error: error.message });
+            throw error;
+        }
+
+        recordDelivery({ ...delivery, status: 'sent' });
+        console.log(`🤖 Auto-reply ${rule.id} answered "${match}" in "${group.name}"`);
+    } catch (error) {
+        console.error('❌ Failed to send auto-reply:', error.message);
+    }
 };
 
+console.log('🔄 Attempting to initialize WhatsApp sessions...');
+sessions.startAll();
+
 const uploadDir = "./uploads";
 if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir);
 
@@ -132,379 +881,1071 @@ const storage = multer.diskStorage({
     }
 });
 
-const upload = multer({ storage });
+// Types and sizes are checked while uploading; see media.js
+const upload = multer({
+    storage,
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_ATTACHMENTS },
+    fileFilter: mediaFileFilter
+});
+
+// Attachments of the message routes; the field decides how a file is sent
+const mediaUpload = upload.fields(Object.keys(MEDIA_FIELDS).map(name => ({ name, maxCount: MAX_ATTACHMENTS })));
 
 // API Routes
 
 // Health check
 app.get('/api/health', (req, res) => {
+    const { health } = sessions.get(DEFAULT_SESSION_ID).supervisor.getState();
+    const sessionHealth = sessions.list().map(wa => ({
+        id: wa.id,
+        isReady: wa.isReady,
+        health: wa.supervisor.getState().health
+    }));
+
     res.json({
-        status: 'ok',
-        whatsappReady: isClientReady,
+        // degraded while any WhatsApp client is being reconnected
+        status: sessionHealth.some(wa => wa.health === 'degraded' || wa.health === 'failed') ? 'degraded' : 'ok',
+        whatsappReady: sessions.get(DEFAULT_SESSION_ID).isReady,
+        whatsappHealth: health,
+        sessions: sessionHealth,
         timestamp: new Date().toISOString()
     });
 });
 
-// Get WhatsApp connection status
-app.get('/api/whatsapp/status', (req, res) => {
+// Get WhatsApp connection status of a session (?sessionId=, default session otherwise)
+app.get('/api/whatsapp/status', requireRole('viewer'), withSession, (req, res) => {
+    const { wa } = req;
+
     res.json({
-        isReady: isClientReady,
-        clientInfo: isClientReady ? client.info : null
+        sessionId: wa.id,
+        isReady: wa.isReady,
+        clientInfo: wa.isReady ? wa.client.info : null,
+        ...wa.state.getStatus(),
+        supervisor: wa.supervisor.getState(),
+        schedulerSuspended: scheduler.isSuspended(wa.id),
+        queuePaused: wa.queue.getState().paused
     });
 });
 
-// Manual reconnect endpoint
-app.post('/api/whatsapp/reconnect', (req, res) => {
+// Get the QR code to link the WhatsApp account, as ?format=png (default), svg or dataurl
+app.get('/api/whatsapp/qr', requireRole('admin'), withSession, async (req, res) => {
     try {
-        if (isClientReady) {
-            return res.json({
-                success: true,
-                message: 'WhatsApp client is already connected'
+        const { wa } = req;
+        const format = req.query.format || 'png';
+
+        if (!QR_FORMATS.includes(format)) {
+            return res.status(400).json({
+                error: `format must be one of: ${QR_FORMATS.join(', ')}`
+            });
+        }
+
+        const qr = wa.state.getQr();
+        if (!qr) {
+            const { state } = wa.state.getStatus();
+            return res.status(404).json({
+                error: state === 'ready'
+                    ? 'WhatsApp is already linked; no QR code is needed'
+                    : `No QR code available yet (session is ${state})`,
+                state
             });
         }
 
-        console.log('🔄 Manual reconnection attempt initiated...');
-        initializeClient();
+        const rendered = await renderQr(qr, format);
 
+        // QR codes rotate every few seconds, so they must never be cached
+        res.set('Cache-Control', 'no-store');
+        if (format === 'png') {
+            return res.type('png').send(rendered);
+        }
+        if (format === 'svg') {
+            return res.type('svg').send(rendered);
+        }
         res.json({
             success: true,
-            message: 'Reconnection attempt started. Check status in a few moments.'
+            qr: rendered,
+            receivedAt: wa.state.getStatus().qrReceivedAt
         });
     } catch (error) {
-        console.error('❌ Manual reconnection failed:', error);
         res.status(500).json({
-            error: 'Failed to initiate reconnection',
+            error: 'Failed to render QR code',
             details: error.message
         });
     }
 });
 
-// Send immediate message
-app.post('/api/messages/send', upload.array('images', 5), async (req, res) => {
+// Unlink the WhatsApp account and start a fresh session waiting for a new QR scan
+app.post('/api/whatsapp/logout', requireRole('admin'), withSession, async (req, res) => {
     try {
-        const { groupName, message } = req.body;
-        const images = req.files || [];
+        const { wa } = req;
 
-        // Validation
-        if (!groupName || !message) {
-            return res.status(400).json({
-                error: 'groupName and message are required'
+        if (!wa.client || !wa.isReady) {
+            return res.status(409).json({
+                error: 'WhatsApp is not linked'
             });
         }
 
-        if (!isClientReady) {
-            return res.status(503).json({
-                error: 'WhatsApp client is not ready. Please try again later.'
-            });
-        }
+        console.log(`🚪 Logging out of WhatsApp session "${wa.id}"...`);
+        await wa.supervisor.logout();
 
-        // Find the group
-        const group = await findGroupByName(client, groupName);
-        if (!group) {
-            return res.status(404).json({
-                error: `Group "${groupName}" not found`
-            });
-        }
+        res.json({
+            success: true,
+            message: `Logged out. Scan the new QR code from /api/whatsapp/qr?sessionId=${wa.id} to link an account.`
+        });
+    } catch (error) {
+        console.error('❌ Logout failed:', error);
+        res.status(500).json({
+            error: 'Failed to log out',
+            details: error.message
+        });
+    }
+});
 
-        // Check if current user is admin
-        const currentUser = client.info.wid._serialized;
-        const isAdmin = await isUserAdmin(client, group, currentUser);
+// Manual reconnect endpoint
+app.post('/api/whatsapp/reconnect', requireRole('admin'), withSession, (req, res) => {
+    try {
+        const { wa } = req;
 
-        if (!isAdmin) {
-            return res.status(403).json({
-                error: `You are not an admin in "${groupName}". Only admins can send messages.`
+        if (wa.isReady) {
+            return res.json({
+                success: true,
+                message: 'WhatsApp client is already connected'
             });
         }
 
-        // Send the message
-        try {
-            if (images.length > 0) {
-                // Send text message first if provided
-                if (message.trim()) {
-                    await group.sendMessage(message);
-                }
+        console.log(`🔄 Manual reconnection of session "${wa.id}" initiated...`);
+        wa.supervisor.restart();
 
-                // Send each image
-                for (const image of images) {
-                    const media = MessageMedia.fromFilePath(image.path);
-                    await group.sendMessage(media);
+        res.json({
+            success: true,
+            message: 'Reconnection attempt started. Check status in a few moments.'
+        });
+    } catch (error) {
+        console.error('❌ Manual reconnection failed:', error);
+        res.status(500).json({
+            error: 'Failed to initiate reconnection',
+            details: error.message
+        });
+    }
+});
 
-                    // Clean up uploaded file
-                    fs.unlinkSync(image.path);
-                }
-            } else {
-                // Send text-only message
-                await group.sendMessage(message);
-            }
-        } catch (sendError) {
-            // Clean up any remaining uploaded files
-            images.forEach(image => {
-                if (fs.existsSync(image.path)) {
-                    fs.unlinkSync(image.path);
-                }
+// List the WhatsApp sessions and their login state
+app.get('/api/sessions', requireRole('viewer'), (req, res) => {
+    res.json({
+        success: true,
+        sessions: sessions.list().map(describeSession)
+    });
+});
+
+// Add a WhatsApp session for another account; link it by scanning its QR code
+app.post('/api/sessions', requireRole('admin'), (req, res) => {
+    try {
+        const { error, session } = sessions.add(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        console.log(`➕ WhatsApp session "${session.id}" added by "${req.apiKey.name}"`);
+
+        res.json({
+            success: true,
+            message: `Session "${session.id}" created. Scan the QR code from /api/whatsapp/qr?sessionId=${session.id} to link an account.`,
+            session: describeSession(session)
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to create session',
+            details: error.message
+        });
+    }
+});
+
+// Remove a WhatsApp session: unlink its account and delete its stored login
+app.delete('/api/sessions/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (id === DEFAULT_SESSION_ID) {
+            return res.status(400).json({
+                error: 'The default session cannot be removed'
+            });
+        }
+
+        if (!sessions.get(id)) {
+            return res.status(404).json({
+                error: `WhatsApp session "${id}" not found`
+            });
+        }
+
+        // Scheduled messages would be left with no account to send from
+        const tasks = scheduler.listTasks().filter(task => getTaskSession(task) === id && !isFinished(task));
+        if (tasks.length > 0) {
+            return res.status(409).json({
+                error: `Session "${id}" still has ${tasks.length} scheduled message(s). Delete them first.`,
+                taskIds: tasks.map(task => task.id)
+            });
+        }
+
+        await sessions.remove(id);
+        console.log(`➖ WhatsApp session "${id}" removed by "${req.apiKey.name}"`);
+
+        res.json({
+            success: true,
+            message: `Session "${id}" removed`
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to remove session',
+            details: error.message
+        });
+    }
+});
+
+// Send immediate message
+app.post('/api/messages/send', requireRole('sender'), mediaUpload, withSession, async (req, res) => {
+    try {
+        const { groupId, message } = req.body;
+
+        // Uploaded files plus media URLs and earlier uploads
+        const { files, status: mediaStatus, error: mediaError } = await collectRequestMedia(req);
+        if (mediaError) {
+            return res.status(mediaStatus).json({
+                error: mediaError
+            });
+        }
+        const filePaths = files.map(file => file.path);
+
+        // Validation
+        if ((!req.body.groupName && !groupId) || (!message && files.length === 0)) {
+            cleanupImages(filePaths);
+            return res.status(400).json({
+                error: 'groupName or groupId, and a message or attachments are required'
+            });
+        }
+
+        const { error: mentionsError, mentions } = parseMentions(req.body.mentions);
+        if (mentionsError) {
+            cleanupImages(filePaths);
+            return res.status(400).json({
+                error: mentionsError
+            });
+        }
+
+        if (!req.wa.isReady) {
+            cleanupImages(filePaths);
+            return res.status(503).json({
+                error: 'WhatsApp client is not ready. Please try again later.'
+            });
+        }
+
+        // Find the group, by id when given, and check we may send there
+        const { group, status, ...rejection } = await authorizeGroupMessage(req.wa, req.body, {
+            apiKey: req.apiKey.name,
+            action: 'send',
+            attachments: files
+        });
+        if (!group) {
+            cleanupImages(filePaths);
+            return res.status(status).json(rejection);
+        }
+        const groupName = group.name;
+
+        await sendMessageNow(req.wa, group, message, files.map(file => toMediaItem(file)), { apiKey: req.apiKey.name }, { mentions });
+
+        res.json({
+            success: true,
+            message: `Message sent successfully${files.length > 0 ? ` with ${files.length} attachment(s)` : ''}`,
+            groupName,
+            groupId: group.id._serialized,
+            sessionId: req.wa.id,
+            sentAt: new Date().toISOString(),
+            imageCount: files.length
+        });
+
+    } catch (error) {
+        console.error('Error sending message:', error);
+        res.status(500).json({
+            error: 'Failed to send message',
+            details: error.message
+        });
+    }
+});
+
+// Schedule a message
+app.post('/api/messages/schedule', requireRole('sender'), mediaUpload, withSession, async (req, res) => {
+    try {
+        const { files, status: mediaStatus, error: mediaError } = await collectRequestMedia(req);
+        if (mediaError) {
+            return res.status(mediaStatus).json({
+                error: mediaError
+            });
+        }
+
+        const { task: newTask, status, ...rejection } = await createScheduledMessage(req.wa, req.body, {
+            apiKey: req.apiKey.name,
+            files
+        });
+        if (!newTask) {
+            cleanupImages(files.map(file => file.path));
+            return res.status(status).json(rejection);
+        }
+
+        res.json({
+            success: true,
+            message: `Message scheduled successfully${files.length > 0 ? ` with ${files.length} attachment(s)` : ''}`,
+            task: newTask,
+            imageCount: files.length
+        });
+
+    } catch (error) {
+        console.error('Error scheduling message:', error);
+        res.status(500).json({
+            error: 'Failed to schedule message',
+            details: error.message
+        });
+    }
+});
+
+// Broadcast a message to many groups at once
+app.post('/api/messages/broadcast', requireRole('sender'), mediaUpload, withSession, async (req, res) => {
+    let filePaths = [];
+
+    try {
+        const { message } = req.body;
+
+        const { files, status: mediaStatus, error: mediaError } = await collectRequestMedia(req);
+        if (mediaError) {
+            return res.status(mediaStatus).json({
+                error: mediaError
+            });
+        }
+        filePaths = files.map(file => file.path);
+
+        // Validation
+        if (!message && files.length === 0) {
+            cleanupImages(filePaths);
+            return res.status(400).json({
+                error: 'message or attachments are required'
+            });
+        }
+
+        const { error: targetError, target } = parseBroadcastTarget(req.body);
+        if (targetError) {
+            cleanupImages(filePaths);
+            return res.status(400).json({
+                error: targetError
+            });
+        }
+
+        const { error: mentionsError, mentions } = parseMentions(req.body.mentions);
+        if (mentionsError) {
+            cleanupImages(filePaths);
+            return res.status(400).json({
+                error: mentionsError
+            });
+        }
+
+        if (!req.wa.isReady) {
+            cleanupImages(filePaths);
+            return res.status(503).json({
+                error: 'WhatsApp client is not ready. Please try again later.'
+            });
+        }
+
+        const currentUser = req.wa.client.info.wid._serialized;
+        const { results, summary } = await broadcastToGroups(req.wa, target, message, files.map(file => toMediaItem(file)), { requestedBy: currentUser, apiKey: req.apiKey.name, attachments: files, mentions });
+
+        cleanupImages(filePaths);
+
+        if (summary.matched === 0) {
+            return res.status(404).json({
+                error: 'No groups matched the broadcast target',
+                results
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Broadcast complete: ${summary.sent} of ${summary.total} groups sent${files.length > 0 ? ` with ${files.length} attachment(s)` : ''}`,
+            results,
+            summary
+        });
+
+    } catch (error) {
+        cleanupImages(filePaths);
+        console.error('Error broadcasting message:', error);
+        res.status(500).json({
+            error: 'Failed to broadcast message',
+            details: error.message
+        });
+    }
+});
+
+// Schedule a broadcast; its target is resolved again every time it fires
+app.post('/api/messages/broadcast/schedule', requireRole('sender'), mediaUpload, withSession, async (req, res) => {
+    try {
+        const { description } = req.body;
+
+        const { files, status: mediaStatus, error: mediaError } = await collectRequestMedia(req);
+        if (mediaError) {
+            return res.status(mediaStatus).json({
+                error: mediaError
+            });
+        }
+
+        // Answer with an error and drop the attachments of the request
+        const reject = (status, body) => {
+            cleanupImages(files.map(file => file.path));
+            return res.status(status).json(body);
+        };
+
+        // Validation
+        if (!req.body.message && !req.body.templateId && !req.body.variants && files.length === 0) {
+            return reject(400, {
+                error: 'message, templateId, variants or attachments are required'
+            });
+        }
+
+        const parsed = parseScheduledMessage(req.body, files);
+        if (parsed.error) {
+            return reject(parsed.status, {
+                error: parsed.error
+            });
+        }
+
+        const { error: targetError, target } = parseBroadcastTarget(req.body);
+        if (targetError) {
+            return reject(400, {
+                error: targetError
+            });
+        }
+
+        if (!req.wa.isReady) {
+            return reject(503, {
+                error: 'WhatsApp client is not ready. Please try again later.'
+            });
+        }
+
+        // Make sure the target matches something today
+        const { groups } = resolveBroadcastTargets(await req.wa.groups.list(), target);
+        if (groups.length === 0) {
+            return reject(404, {
+                error: 'No groups matched the broadcast target'
+            });
+        }
+
+        // Policies are enforced again per group on every run; refuse only when none would allow it
+        const denials = groups
+            .map(group => checkPolicy({ group, apiKey: req.apiKey.name, action: 'schedule', attachments: files }))
+            .filter(check => !check.allowed);
+        if (denials.length === groups.length) {
+            return reject(403, {
+                error: 'No matched group allows this broadcast',
+                reasons: denials.map(check => check.reason)
+            });
+        }
+
+        // Create new scheduled broadcast
+        const newTask = scheduleParsedMessage(req.wa, null, parsed, {
+            files,
+            description,
+            apiKey: req.apiKey.name,
+            type: 'broadcast',
+            target,
+            label: describeTarget(target)
+        });
+
+        res.json({
+            success: true,
+            message: `Broadcast scheduled successfully (currently matches ${groups.length} group(s))`,
+            task: newTask,
+            matchedGroups: groups.map(group => ({ id: group.id._serialized, name: group.name })),
+            imageCount: files.length
+        });
+
+    } catch (error) {
+        console.error('Error scheduling broadcast:', error);
+        res.status(500).json({
+            error: 'Failed to schedule broadcast',
+            details: error.message
+        });
+    }
+});
+
+// Fields of a draft that describe when a scheduled draft should run
+const DRAFT_SCHEDULE_FIELDS = ['cronTime', 'sendAt', 'timezone', 'startDate', 'endDate', 'maxOccurrences', 'catchUp', 'maxLatenessMinutes'];
+
+// Draft a message or schedule for someone else to approve. Drafts with cronTime
+// or sendAt become scheduled tasks when approved; the rest are sent right away.
+app.post('/api/messages/drafts', requireRole('viewer'), mediaUpload, withSession, async (req, res) => {
+    try {
+        const { groupId, message, description } = req.body;
+        const kind = req.body.cronTime || req.body.sendAt ? 'schedule' : 'send';
+
+        const { files, status: mediaStatus, error: mediaError } = await collectRequestMedia(req);
+        if (mediaError) {
+            return res.status(mediaStatus).json({
+                error: mediaError
+            });
+        }
+
+        // Validation
+        if ((!req.body.groupName && !groupId) || (!message && files.length === 0)) {
+            cleanupImages(files.map(file => file.path));
+            return res.status(400).json({
+                error: 'groupName or groupId, and a message or attachments are required'
+            });
+        }
+
+        // Schedules are checked now so mistakes surface before review, and again on approval
+        if (kind === 'schedule') {
+            const { error: optionsError } = parseScheduleOptions(req.body);
+            if (optionsError) {
+                cleanupImages(files.map(file => file.path));
+                return res.status(400).json({
+                    error: optionsError
+                });
+            }
+        }
+
+        if (!req.wa.isReady) {
+            cleanupImages(files.map(file => file.path));
+            return res.status(503).json({
+                error: 'WhatsApp client is not ready. Please try again later.'
+            });
+        }
+
+        const { group, status, error, candidates } = await resolveGroup(req.wa.groups, req.body);
+        if (!group) {
+            cleanupImages(files.map(file => file.path));
+            return res.status(status).json({ error, candidates });
+        }
+
+        const draft = createDraft({
+            kind,
+            sessionId: req.wa.id,
+            groupId: group.id._serialized,
+            groupName: group.name,
+            message,
+            description: description || '',
+            schedule: kind === 'schedule'
+                ? DRAFT_SCHEDULE_FIELDS.reduce((fields, field) => (req.body[field] !== undefined ? { ...fields, [field]: req.body[field] } : fields), {})
+                : null,
+            attachments: storeScheduledMedia(files)
+        }, req.apiKey.name);
+
+        console.log(`📝 Draft ${draft.id} for "${group.name}" requested by "${req.apiKey.name}"`);
+        eventStream.publish('drafts', 'draft_created', draft);
+
+        res.json({
+            success: true,
+            message: 'Draft submitted for approval',
+            draft
+        });
+    } catch (error) {
+        console.error('Error creating draft:', error);
+        res.status(500).json({
+            error: 'Failed to create draft',
+            details: error.message
+        });
+    }
+});
+
+// List drafts, optionally only those with a given status
+app.get('/api/messages/drafts', requireRole('viewer'), (req, res) => {
+    const { status } = req.query;
+
+    if (status !== undefined && !DRAFT_STATUSES.includes(status)) {
+        return res.status(400).json({
+            error: `status must be one of: ${DRAFT_STATUSES.join(', ')}`
+        });
+    }
+
+    res.json({
+        success: true,
+        drafts: listDrafts(status)
+    });
+});
+
+// Get one draft with its audit trail
+app.get('/api/messages/drafts/:id', requireRole('viewer'), (req, res) => {
+    const draft = getDraft(req.params.id);
+
+    if (!draft) {
+        return res.status(404).json({
+            error: 'Draft not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        draft
+    });
+});
+
+// Approve a draft and hand it to the normal send or schedule logic
+app.post('/api/messages/drafts/:id/approve', requireRole('sender'), async (req, res) => {
+    try {
+        const { comment } = req.body;
+        const draft = getDraft(req.params.id);
+
+        const reviewError = getReviewError(draft, 'approved', req.apiKey.name);
+        if (reviewError) {
+            return res.status(reviewError.status).json({
+                error: reviewError.error
+            });
+        }
+
+        const options = draft.kind === 'schedule' ? parseScheduleOptions(draft.schedule) : {};
+        if (options.error) {
+            return res.status(400).json({
+                error: `Draft can no longer be scheduled: ${options.error}`
+            });
+        }
+
+        // A draft goes out from the session it was written for
+        const sessionId = draft.sessionId || DEFAULT_SESSION_ID;
+        const wa = sessions.get(sessionId);
+        if (!wa) {
+            return res.status(409).json({
+                error: `WhatsApp session "${sessionId}" no longer exists`
+            });
+        }
+
+        if (!wa.isReady) {
+            return res.status(503).json({
+                error: 'WhatsApp client is not ready. Please try again later.'
+            });
+        }
+
+        // The approver's key is the one the group's policy is checked against
+        const { group, status, ...rejection } = await authorizeGroupMessage(wa, draft, {
+            apiKey: req.apiKey.name,
+            action: draft.kind,
+            attachments: draft.attachments
+        });
+        if (!group) {
+            return res.status(status).json(rejection);
+        }
+
+        // Drafts from before other media were supported have no sendAs on their attachments
+        const media = draft.attachments.map(attachment => toMediaItem(attachment));
+        // Marked approved before sending so a second approval cannot send it twice
+        if (!reviewDraft(draft.id, 'approved', { by: req.apiKey.name, comment: comment || null })) {
+            return res.status(409).json({
+                error: 'Draft was reviewed by someone else in the meantime'
+            });
+        }
+        console.log(`✅ Draft ${draft.id} approved by "${req.apiKey.name}"`);
+
+        let result;
+        try {
+            if (draft.kind === 'schedule') {
+                const task = scheduleGroupMessage(wa, group, {
+                    message: draft.message,
+                    timing: options.timing,
+                    limits: options.limits,
+                    catchUp: options.catchUp,
+                    description: draft.description,
+                    media,
+                    apiKey: req.apiKey.name,
+                    draftId: draft.id,
+                    requestedByKey: draft.requestedBy
+                });
+                result = { taskId: task.id };
+            } else {
+                await sendMessageNow(wa, group, draft.message, media, {
+                    apiKey: req.apiKey.name,
+                    draftId: draft.id,
+                    draftRequestedBy: draft.requestedBy
+                });
+                result = { sentAt: new Date().toISOString() };
+            }
+        } catch (error) {
+            eventStream.publish('drafts', 'draft_failed', recordDraftResult(draft.id, { error: error.message }));
+            throw error;
+        }
+
+        const approved = recordDraftResult(draft.id, result);
+        eventStream.publish('drafts', 'draft_approved', approved);
+
+        res.json({
+            success: true,
+            message: draft.kind === 'schedule' ? 'Draft approved and scheduled' : 'Draft approved and sent',
+            draft: approved
+        });
+    } catch (error) {
+        console.error('Error approving draft:', error);
+        res.status(500).json({
+            error: 'Failed to approve draft',
+            details: error.message
+        });
+    }
+});
+
+// Reject a draft; its attachments are discarded
+app.post('/api/messages/drafts/:id/reject', requireRole('sender'), (req, res) => {
+    const { comment } = req.body;
+    const draft = getDraft(req.params.id);
+
+    const reviewError = getReviewError(draft, 'rejected', req.apiKey.name);
+    if (reviewError) {
+        return res.status(reviewError.status).json({
+            error: reviewError.error
+        });
+    }
+
+    const rejected = reviewDraft(draft.id, 'rejected', { by: req.apiKey.name, comment: comment || null });
+    cleanupImages(draft.attachments.map(attachment => attachment.path));
+    console.log(`🚫 Draft ${draft.id} rejected by "${req.apiKey.name}"`);
+    eventStream.publish('drafts', 'draft_rejected', rejected);
+
+    res.json({
+        success: true,
+        message: 'Draft rejected',
+        draft: rejected
+    });
+});
+
+// Get saved group lists for broadcasts
+app.get('/api/group-lists', requireRole('viewer'), (req, res) => {
+    res.json({
+        success: true,
+        groupLists: loadGroupLists()
+    });
+});
+
+// Create or replace a saved group list
+app.post('/api/group-lists', requireRole('sender'), (req, res) => {
+    try {
+        const { name } = req.body;
+        const groupIds = parseList(req.body.groupIds);
+        const groupNames = parseList(req.body.groupNames);
+
+        if (!name || (groupIds.length === 0 && groupNames.length === 0)) {
+            return res.status(400).json({
+                error: 'name and at least one of groupIds or groupNames are required'
+            });
+        }
+
+        const groupList = saveGroupList({ name, groupIds, groupNames });
+
+        res.json({
+            success: true,
+            message: `Group list "${name}" saved`,
+            groupList
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to save group list',
+            details: error.message
+        });
+    }
+});
+
+// Delete a saved group list
+app.delete('/api/group-lists/:name', requireRole('sender'), (req, res) => {
+    try {
+        if (!deleteGroupList(req.params.name)) {
+            return res.status(404).json({
+                error: 'Group list not found'
             });
-
-            // Check if it's a session disconnection error
-            if (sendError.message.includes('Session closed') || sendError.message.includes('Protocol error')) {
-                isClientReady = false;
-                throw new Error('WhatsApp session disconnected. Please wait for reconnection and try again.');
-            }
-            throw sendError;
         }
 
         res.json({
             success: true,
-            message: `Message sent successfully${images.length > 0 ? ` with ${images.length} image(s)` : ''}`,
-            groupName,
-            sentAt: new Date().toISOString(),
-            imageCount: images.length
+            message: 'Group list deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to delete group list',
+            details: error.message
         });
+    }
+});
 
+// Get all scheduled messages
+app.get('/api/messages/scheduled', requireRole('viewer'), (req, res) => {
+    try {
+        const { status, sessionId } = req.query;
+        const scheduleData = scheduler.listTasks()
+            .filter(task => !status || task.status === status)
+            .filter(task => !sessionId || getTaskSession(task) === sessionId)
+            .map(task => {
+                const [nextRun] = getNextRuns(task, 1);
+                return { ...task, nextRunAt: nextRun ? nextRun.toISOString() : null };
+            });
+        res.json({
+            success: true,
+            scheduledMessages: scheduleData
+        });
     } catch (error) {
-        console.error('Error sending message:', error);
         res.status(500).json({
-            error: 'Failed to send message',
+            error: 'Failed to fetch scheduled messages',
             details: error.message
         });
     }
 });
 
-// Schedule a message
-app.post('/api/messages/schedule', upload.array('images', 5), async (req, res) => {
+// Previews, pause and resume, history, policies and API keys work the same in both servers
+app.use(createSharedRoutes({
+    scheduler,
+    listGroups: (req) => (req.wa.isReady ? req.wa.groups.list() : []),
+    withSession
+}));
+
+// Edit a scheduled message in place
+app.patch('/api/messages/scheduled/:id', requireRole('sender'), async (req, res) => {
     try {
-        const { groupName, message, cronTime, description } = req.body;
-        const images = req.files || [];
+        const { id } = req.params;
+        const task = scheduler.getTask(id);
 
-        // Validation
-        if (!groupName || !message || !cronTime) {
-            return res.status(400).json({
-                error: 'groupName, message, and cronTime are required'
+        if (!task) {
+            return res.status(404).json({
+                error: 'Scheduled message not found'
             });
         }
 
-        if (!isClientReady) {
-            return res.status(503).json({
-                error: 'WhatsApp client is not ready. Please try again later.'
-            });
+        // Broadcasts are retargeted with the broadcast fields instead of groupName
+        const targetFields = ['groupIds', 'groupNames', 'nameFilter', 'nameRegex', 'groupList'];
+        const retarget = task.type === 'broadcast' && targetFields.some(field => req.body[field] !== undefined);
+        const templateChange = req.body.templateId !== undefined || req.body.variables !== undefined;
+        const variantModeChange = req.body.variantMode !== undefined;
+        const mentionsChange = req.body.mentions !== undefined;
+
+        const { error, changes } = validateTaskChanges(req.body, task, { allowEmpty: retarget || templateChange || variantModeChange || mentionsChange });
+        if (error) {
+            return res.status(400).json({ error });
         }
 
-        // Validate cron expression
-        if (!cron.validate(cronTime)) {
-            return res.status(400).json({
-                error: 'Invalid cron expression'
-            });
+        if (req.body.variables !== undefined) {
+            const { error: variablesError, variables } = parseVariables(req.body.variables);
+            if (variablesError) {
+                return res.status(400).json({ error: variablesError });
+            }
+            changes.variables = variables;
         }
 
-        // Find the group
-        const group = await findGroupByName(client, groupName);
-        if (!group) {
-            return res.status(404).json({
-                error: `Group "${groupName}" not found`
-            });
+        // An empty mentions value turns mentions off
+        if (mentionsChange) {
+            const { error: mentionsError, mentions } = parseMentions(req.body.mentions);
+            if (mentionsError) {
+                return res.status(400).json({ error: mentionsError });
+            }
+            changes.mentions = mentions;
         }
 
-        // Check if current user is admin
-        const currentUser = client.info.wid._serialized;
-        const isAdmin = await isUserAdmin(client, group, currentUser);
+        // Switching modes keeps the rotation state; a new bag is drawn once it runs out
+        if (variantModeChange) {
+            if (!task.variants) {
+                return res.status(400).json({
+                    error: 'This scheduled message has no variants'
+                });
+            }
+            if (!VARIANT_MODES.includes(req.body.variantMode)) {
+                return res.status(400).json({
+                    error: `variantMode must be one of: ${VARIANT_MODES.join(', ')}`
+                });
+            }
+            changes.variantMode = req.body.variantMode;
+        }
 
-        if (!isAdmin) {
-            return res.status(403).json({
-                error: `You are not an admin in "${groupName}". Only admins can schedule messages.`
-            });
+        // A null templateId detaches the template; the task keeps its own message
+        if (req.body.templateId !== undefined) {
+            const template = req.body.templateId ? getTemplate(req.body.templateId) : null;
+            if (req.body.templateId && !template) {
+                return res.status(404).json({
+                    error: `Template "${req.body.templateId}" not found`
+                });
+            }
+            changes.templateId = template ? template.id : null;
         }
 
-        // Load existing schedule data
-        const scheduleData = loadScheduleData();
+        if (task.type === 'broadcast') {
+            if (changes.groupName || changes.groupId) {
+                return res.status(400).json({
+                    error: 'Broadcasts have no single group; change groupIds, groupNames, nameFilter, nameRegex or groupList instead'
+                });
+            }
 
-        // Store image paths for scheduled messages
-        const imagePaths = images.map(image => {
-            const scheduledImagePath = path.join('./uploads/scheduled', `${Date.now()}-${image.originalname}`);
-            // Create scheduled directory if it doesn't exist
-            const scheduledDir = path.dirname(scheduledImagePath);
-            if (!fs.existsSync(scheduledDir)) {
-                fs.mkdirSync(scheduledDir, { recursive: true });
+            if (retarget) {
+                const { error: targetError, target } = parseBroadcastTarget({ ...task.target, ...req.body });
+                if (targetError) {
+                    return res.status(400).json({ error: targetError });
+                }
+                changes.target = target;
+                changes.label = describeTarget(target);
             }
-            // Move file to scheduled directory
-            fs.renameSync(image.path, scheduledImagePath);
-            return scheduledImagePath;
-        });
+        }
 
-        // Create new scheduled task
-        const newTask = {
-            id: Date.now().toString(),
-            groupName,
-            message,
-            cron: cronTime,
-            description: description || '',
-            createdAt: new Date().toISOString(),
-            createdBy: currentUser,
-            imagePaths: imagePaths
-        };
+        // A new target group needs the same checks as scheduling
+        const groupChanged = (changes.groupId && changes.groupId !== task.groupId)
+            || (changes.groupName && changes.groupName !== task.groupName);
 
-        // Add to schedule data
-        scheduleData.push(newTask);
-        saveScheduleData(scheduleData);
+        if (groupChanged) {
+            // The new group is looked up in the session the task sends from
+            const wa = sessions.get(getTaskSession(task));
+            if (!wa || !wa.isReady) {
+                return res.status(503).json({
+                    error: 'WhatsApp client is not ready. Please try again later.'
+                });
+            }
 
-        // Schedule the cron job
-        cron.schedule(cronTime, async () => {
-            try {
-                const group = await findGroupByName(client, groupName);
-                if (group) {
-                    const isAdmin = await isUserAdmin(client, group, currentUser);
-                    if (isAdmin) {
-                        // Send text message first if provided
-                        if (message.trim()) {
-                            await group.sendMessage(message);
-                        }
-
-                        // Send images if any
-                        if (imagePaths && imagePaths.length > 0) {
-                            for (const imagePath of imagePaths) {
-                                if (fs.existsSync(imagePath)) {
-                                    const media = MessageMedia.fromFilePath(imagePath);
-                                    await group.sendMessage(media);
-                                    // Clean up the scheduled image file
-                                    fs.unlinkSync(imagePath);
-                                }
-                            }
-                        }
-
-                        console.log(`✅ Scheduled message sent to "${groupName}" at ${new Date().toLocaleString()}${imagePaths?.length ? ` with ${imagePaths.length} image(s)` : ''}`);
-                    } else {
-                        console.log(`❌ User no longer admin in "${groupName}". Scheduled message not sent.`);
-                        // Clean up images if user is no longer admin
-                        if (imagePaths && imagePaths.length > 0) {
-                            imagePaths.forEach(imagePath => {
-                                if (fs.existsSync(imagePath)) {
-                                    fs.unlinkSync(imagePath);
-                                }
-                            });
-                        }
-                    }
-                }
-            } catch (error) {
-                console.error(`Error sending scheduled message to "${groupName}":`, error.message);
-                // Clean up images on error
-                if (imagePaths && imagePaths.length > 0) {
-                    imagePaths.forEach(imagePath => {
-                        if (fs.existsSync(imagePath)) {
-                            fs.unlinkSync(imagePath);
-                        }
-                    });
-                }
+            const { group, status, error: groupError, candidates } = await resolveGroup(wa.groups, changes);
+            if (!group) {
+                return res.status(status).json({ error: groupError, candidates });
             }
-        });
+
+            const currentUser = wa.client.info.wid._serialized;
+            const isAdmin = await isUserAdmin(wa.client, group, currentUser);
+
+            if (!isAdmin) {
+                return res.status(403).json({
+                    error: `You are not an admin in "${group.name}". Only admins can schedule messages.`
+                });
+            }
+
+            const policyCheck = checkPolicy({ group, apiKey: req.apiKey.name, action: 'schedule' });
+            if (!policyCheck.allowed) {
+                return res.status(403).json({
+                    error: policyCheck.reason,
+                    policy: policyCheck.policy
+                });
+            }
+
+            changes.groupId = group.id._serialized;
+            changes.groupName = group.name;
+        }
+
+        const updatedTask = scheduler.updateTask(id, changes);
 
         res.json({
             success: true,
-            message: `Message scheduled successfully${images.length > 0 ? ` with ${images.length} image(s)` : ''}`,
-            task: newTask,
-            imageCount: images.length
+            message: 'Scheduled message updated successfully',
+            task: updatedTask
         });
-
     } catch (error) {
-        console.error('Error scheduling message:', error);
         res.status(500).json({
-            error: 'Failed to schedule message',
+            error: 'Failed to update scheduled message',
             details: error.message
         });
     }
 });
 
-// Get all scheduled messages
-app.get('/api/messages/scheduled', (req, res) => {
+// Delete a scheduled message
+app.delete('/api/messages/scheduled/:id', requireRole('sender'), (req, res) => {
     try {
-        const scheduleData = loadScheduleData();
+        const task = scheduler.cancelTask(req.params.id);
+
+        if (!task) {
+            return res.status(404).json({
+                error: 'Scheduled message not found'
+            });
+        }
+
+        removeTaskMedia(task);
+
         res.json({
             success: true,
-            scheduledMessages: scheduleData
+            message: 'Scheduled message deleted successfully'
         });
     } catch (error) {
         res.status(500).json({
-            error: 'Failed to fetch scheduled messages',
+            error: 'Failed to delete scheduled message',
             details: error.message
         });
     }
 });
 
-// Delete a scheduled message
-app.delete('/api/messages/scheduled/:id', (req, res) => {
-    try {
-        const { id } = req.params;
-        const scheduleData = loadScheduleData();
+// Stream events to dashboards as Server-Sent Events. ?topics= narrows them to
+// a comma-separated list of: session, schedule, queue, messages, drafts.
+app.get('/api/events', requireRole('viewer'), eventStream.handleRequest);
 
-        const filteredData = scheduleData.filter(task => task.id !== id);
+// Inspect the outbound send queue: pending, in-flight and dead-lettered messages
+app.get('/api/queue', requireRole('viewer'), withSession, (req, res) => {
+    res.json({
+        success: true,
+        sessionId: req.wa.id,
+        ...req.wa.queue.getState()
+    });
+});
 
-        if (filteredData.length === scheduleData.length) {
-            return res.status(404).json({
-                error: 'Scheduled message not found'
+// Get available groups
+app.get('/api/groups', requireRole('viewer'), withSession, async (req, res) => {
+    try {
+        const { wa } = req;
+
+        if (!wa.isReady) {
+            return res.status(503).json({
+                error: 'WhatsApp client is not ready'
             });
         }
 
-        saveScheduleData(filteredData);
+        // ?search= returns the closest name matches first
+        const { search } = req.query;
+        const groups = search
+            ? (await wa.groups.search(search, 50)).map(({ group, score }) => ({ ...describeGroup(group), score }))
+            : (await wa.groups.list()).map(describeGroup);
 
         res.json({
             success: true,
-            message: 'Scheduled message deleted successfully'
+            sessionId: wa.id,
+            groups
         });
     } catch (error) {
         res.status(500).json({
-            error: 'Failed to delete scheduled message',
+            error: 'Failed to fetch groups',
             details: error.message
         });
     }
 });
 
-// Get available groups
-app.get('/api/groups', async (req, res) => {
+// Rebuild the group directory from WhatsApp, for when it has drifted
+app.post('/api/groups/refresh', requireRole('admin'), withSession, async (req, res) => {
     try {
-        if (!isClientReady) {
+        const { wa } = req;
+
+        if (!wa.isReady) {
             return res.status(503).json({
                 error: 'WhatsApp client is not ready'
             });
         }
 
-        const chats = await client.getChats();
-        const groups = chats
-            .filter(chat => chat.isGroup)
-            .map(group => ({
-                id: group.id._serialized,
-                name: group.name,
-                participantCount: group.participants ? group.participants.length : 0
-            }));
+        const groupCount = await wa.groups.refresh();
 
         res.json({
             success: true,
-            groups
+            message: `Group directory refreshed: ${groupCount} group(s)`,
+            directory: wa.groups.getState()
         });
     } catch (error) {
         res.status(500).json({
-            error: 'Failed to fetch groups',
+            error: 'Failed to refresh groups',
             details: error.message
         });
     }
 });
 
 // Promote bot to admin in all groups where user is admin
-app.post('/api/groups/promote-bot', async (req, res) => {
+app.post('/api/groups/promote-bot', requireRole('admin'), withSession, async (req, res) => {
     try {
-        if (!isClientReady) {
+        const { wa } = req;
+
+        if (!wa.isReady) {
             return res.status(503).json({
                 error: 'WhatsApp client is not ready'
             });
         }
 
-        const currentUser = client.info.wid._serialized;
-        const chats = await client.getChats();
-        const groups = chats.filter(chat => chat.isGroup);
+        const currentUser = wa.client.info.wid._serialized;
+        const groups = await wa.groups.list();
 
         const results = [];
-        const botId = client.info.wid._serialized;
+        const botId = wa.client.info.wid._serialized;
 
         for (const group of groups) {
             try {
                 // Check if current user is admin in this group
-                const isAdmin = await isUserAdmin(client, group, currentUser);
+                const isAdmin = await isUserAdmin(wa.client, group, currentUser);
 
                 if (isAdmin) {
                     // Get participants to check if bot is already admin
@@ -571,21 +2012,284 @@ app.post('/api/groups/promote-bot', async (req, res) => {
     }
 });
 
+// List message templates and the built-in variables they can use
+app.get('/api/templates', requireRole('viewer'), (req, res) => {
+    res.json({
+        success: true,
+        templates: loadTemplates(),
+        builtInVariables: BUILT_IN_VARIABLES
+    });
+});
+
+// Get one template, rendered with its default variables and today's built-in ones
+app.get('/api/templates/:id', requireRole('viewer'), (req, res) => {
+    const template = getTemplate(req.params.id);
+
+    if (!template) {
+        return res.status(404).json({
+            error: 'Template not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        template,
+        preview: renderTemplate(template.body, { ...template.variables, ...getBuiltInVariables() })
+    });
+});
+
+// Add a template to the library; schedules use it with templateId
+app.post('/api/templates', requireRole('sender'), (req, res) => {
+    try {
+        const { error, template } = parseTemplate(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.json({
+            success: true,
+            message: `Template "${template.name}" created`,
+            template: createTemplate(template, req.apiKey.name)
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to create template',
+            details: error.message
+        });
+    }
+});
+
+// Edit a template; schedules using it send the new version from their next run
+app.patch('/api/templates/:id', requireRole('sender'), (req, res) => {
+    try {
+        const existing = getTemplate(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Template not found'
+            });
+        }
+
+        const { error, template } = parseTemplate(req.body, existing);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.json({
+            success: true,
+            message: 'Template updated',
+            template: updateTemplate(existing.id, template)
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to update template',
+            details: error.message
+        });
+    }
+});
+
+// Delete a template that no unfinished schedule uses
+app.delete('/api/templates/:id', requireRole('sender'), (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!getTemplate(id)) {
+            return res.status(404).json({
+                error: 'Template not found'
+            });
+        }
+
+        const tasks = scheduler.listTasks().filter(task => task.templateId === id && !isFinished(task));
+        if (tasks.length > 0) {
+            return res.status(409).json({
+                error: `Template is used by ${tasks.length} scheduled message(s)`,
+                taskIds: tasks.map(task => task.id)
+            });
+        }
+
+        deleteTemplate(id);
+
+        res.json({
+            success: true,
+            message: 'Template deleted'
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to delete template',
+            details: error.message
+        });
+    }
+});
+
+// List auto-reply rules, optionally only those for one group (?groupId= or ?groupName=)
+app.get('/api/auto-replies', requireRole('viewer'), (req, res) => {
+    const { groupId, groupName } = req.query;
+    const rules = loadAutoReplies()
+        .filter(rule => !groupId || rule.groupIds.includes(groupId))
+        .filter(rule => !groupName || rule.groupNames.includes(groupName));
+
+    res.json({
+        success: true,
+        autoReplies: rules
+    });
+});
+
+// Add an auto-reply rule, optionally with an attachment sent after the reply
+app.post('/api/auto-replies', requireRole('admin'), upload.single('attachment'), (req, res) => {
+    try {
+        const { error, rule } = parseAutoReply(req.body);
+        if (error) {
+            cleanupImages(req.file ? [req.file.path] : []);
+            return res.status(400).json({ error });
+        }
+
+        const attachment = req.file
+            ? {
+                path: storeScheduledImages([req.file], './uploads/auto-replies')[0],
+                mimetype: req.file.mimetype,
+                originalname: req.file.originalname
+            }
+            : null;
+        const created = createAutoReply({ ...rule, attachment }, req.apiKey.name);
+
+        res.json({
+            success: true,
+            message: 'Auto-reply rule created',
+            autoReply: created
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to create auto-reply rule',
+            details: error.message
+        });
+    }
+});
+
+// Delete an auto-reply rule and its attachment
+app.delete('/api/auto-replies/:id', requireRole('admin'), (req, res) => {
+    const rule = deleteAutoReply(req.params.id);
+
+    if (!rule) {
+        return res.status(404).json({
+            error: 'Auto-reply rule not found'
+        });
+    }
+
+    cleanupImages(rule.attachment ? [rule.attachment.path] : []);
+
+    res.json({
+        success: true,
+        message: 'Auto-reply rule deleted'
+    });
+});
+
+// List webhooks (secrets are never returned) and how their deliveries are going
+app.get('/api/webhooks', requireRole('admin'), (req, res) => {
+    res.json({
+        success: true,
+        webhooks: loadWebhooks().map(describeWebhook),
+        dispatcher: webhookDispatcher.getState()
+    });
+});
+
+// Register a webhook. Its signing secret is only returned in this response.
+app.post('/api/webhooks', requireRole('admin'), (req, res) => {
+    try {
+        const { error, webhook } = parseWebhook(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { secret, ...created } = createWebhook(webhook, req.apiKey.name);
+        console.log(`🪝 Webhook ${created.id} for ${created.events.join(', ')} registered by "${req.apiKey.name}"`);
+
+        res.json({
+            success: true,
+            message: 'Webhook registered. Store the secret now; it cannot be shown again. Verify the X-Webhook-Signature header as HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>".',
+            secret,
+            webhook: created
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to register webhook',
+            details: error.message
+        });
+    }
+});
+
+// Remove a webhook; pending retries to it are dropped
+app.delete('/api/webhooks/:id', requireRole('admin'), (req, res) => {
+    if (!deleteWebhook(req.params.id)) {
+        return res.status(404).json({
+            error: 'Webhook not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Webhook deleted'
+    });
+});
+
+// Inspect the delivery attempts of a webhook, newest first
+app.get('/api/webhooks/:id/deliveries', requireRole('admin'), (req, res) => {
+    try {
+        const { id } = req.params;
+        const { limit } = req.query;
+        const max = limit === undefined ? 100 : Number(limit);
+
+        if (!Number.isInteger(max) || max <= 0 || max > 1000) {
+            return res.status(400).json({
+                error: 'limit must be a whole number between 1 and 1000'
+            });
+        }
+
+        // Attempts outlive deleted webhooks, so only 404 when neither exists
+        const webhook = loadWebhooks().find(stored => stored.id === id);
+        const attempts = queryAttempts({ webhookId: id, limit: max });
+
+        if (!webhook && attempts.length === 0) {
+            return res.status(404).json({
+                error: 'Webhook not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            webhook: webhook ? describeWebhook(webhook) : null,
+            count: attempts.length,
+            attempts
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to fetch webhook deliveries',
+            details: error.message
+        });
+    }
+});
+
 // Add file upload endpoint
-app.post('/api/upload', upload.single('file'), (req, res) => {
+app.post('/api/upload', requireRole('sender'), upload.single('file'), (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
 
+    // filename is what the media field of message requests refers to
     res.json({
         message: 'File uploaded successfully',
         filename: req.file.filename,
-        path: req.file.path
+        path: req.file.path,
+        mimetype: req.file.mimetype,
+        size: req.file.size
     });
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+    // Rejected uploads (type, size or field) are the client's to fix
+    const uploadError = describeUploadError(error);
+    if (uploadError) {
+        return res.status(uploadError.status).json({ error: uploadError.error });
+    }
+
     console.error('Unhandled error:', error);
     res.status(500).json({
         error: 'Internal server error',
@@ -597,6 +2301,9 @@ app.use((error, req, res, next) => {
 app.listen(PORT, () => {
     console.log(`🚀 API Server running on port ${PORT}`);
     console.log(`📡 Health check: http://localhost:${PORT}/api/health`);
+    if (loadApiKeys().length === 0) {
+        console.log('⚠️ No API keys configured. Create one with: node create-api-key.js <name> admin');
+    }
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const API_KEYS_FILE = './api-keys.json';
+
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'sender', 'admin'];
+
+// Only a hash of each key is stored, so the file does not leak usable keys
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const loadApiKeys = () => readJsonFile(API_KEYS_FILE);
+const saveApiKeys = (keys) => writeJsonFile(API_KEYS_FILE, keys);
+
+// Public view of a key record, without its hash
+const describeApiKey = ({ id, name, role, createdAt, createdBy }) => ({ id, name, role, createdAt, createdBy });
+
+// Create a key for a role. The plain key is only returned here and never stored.
+const createApiKey = ({ name, role, createdBy = null }) => {
+    if (!name || typeof name !== 'string') {
+        throw new Error('name is required');
+    }
+    if (!ROLES.includes(role)) {
+        throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const keys = loadApiKeys();
+    if (keys.some(record => record.name === name)) {
+        throw new Error(`An API key named "${name}" already exists`);
+    }
+
+    const key = `wa_${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+        id: Date.now().toString(),
+        name,
+        role,
+        keyHash: hashKey(key),
+        createdAt: new Date().toISOString(),
+        createdBy
+    };
+
+    keys.push(record);
+    saveApiKeys(keys);
+    return { key, apiKey: describeApiKey(record) };
+};
+
+const revokeApiKey = (id) => {
+    const keys = loadApiKeys();
+    const remaining = keys.filter(record => record.id !== id);
+
+    if (remaining.length === keys.length) {
+        return false;
+    }
+    saveApiKeys(remaining);
+    return true;
+};
+
+// Find the stored record for a presented key
+const findApiKey = (key) => {
+    const presented = Buffer.from(hashKey(key), 'hex');
+    return loadApiKeys().find(record => {
+        const stored = Buffer.from(record.keyHash || '', 'hex');
+        return stored.length === presented.length && crypto.timingSafeEqual(stored, presented);
+    }) || null;
+};
+
+// Keys are sent as "Authorization: Bearer <key>" or in an X-API-Key header.
+// Browsers' EventSource cannot set headers, so the event stream also takes ?apiKey=.
+const getPresentedKey = (req) => {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (match) {
+        return match[1].trim();
+    }
+    if (req.get('x-api-key')) {
+        return req.get('x-api-key').trim();
+    }
+    return req.path === '/api/events' && typeof req.query.apiKey === 'string' ? req.query.apiKey.trim() : '';
+};
+
+// Express middleware that lets a request through only with a key of at least
+// the given role. The caller is available to routes as req.apiKey.
+const requireRole = (role) => (req, res, next) => {
+    const key = getPresentedKey(req);
+    if (!key) {
+        return res.status(401).json({
+            error: 'API key required. Send it as "Authorization: Bearer <key>" or an X-API-Key header.'
+        });
+    }
+
+    const record = findApiKey(key);
+    if (!record) {
+        return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    if (ROLES.indexOf(record.role) < ROLES.indexOf(role)) {
+        return res.status(403).json({
+            error: `This action needs the "${role}" role; key "${record.name}" has "${record.role}"`
+        });
+    }
+
+    req.apiKey = describeApiKey(record);
+    if (req.method !== 'GET') {
+        console.log(`🔑 ${req.method} ${req.path} by "${record.name}" (${record.role})`);
+    }
+    next();
+};
+
+module.exports = {
+    ROLES,
+    loadApiKeys,
+    createApiKey,
+    revokeApiKey,
+    describeApiKey,
+    requireRole
+};
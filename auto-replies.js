@@ -0,0 +1,154 @@
+const { parseList } = require('./broadcast');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const AUTO_REPLIES_FILE = './auto-replies.json';
+
+// keyword: the word or phrase appears anywhere, on word boundaries
+// exact: the whole message is the phrase (case and surrounding spaces ignored)
+// regex: a case-insensitive regular expression matches
+const MATCH_TYPES = ['keyword', 'exact', 'regex'];
+
+// Seconds a rule stays quiet in a group after replying there, unless it says otherwise
+const DEFAULT_COOLDOWN_SECONDS = 300;
+
+const loadAutoReplies = () => readJsonFile(AUTO_REPLIES_FILE);
+const saveAutoReplies = (rules) => writeJsonFile(AUTO_REPLIES_FILE, rules);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The regular expression a rule matches messages with
+const getRulePattern = (rule) => {
+    if (rule.matchType === 'regex') {
+        return new RegExp(rule.pattern, 'i');
+    }
+    if (rule.matchType === 'exact') {
+        return new RegExp(`^\\s*${escapeRegExp(rule.pattern.trim())}\\s*$`, 'i');
+    }
+    return new RegExp(`(^|\\W)${escapeRegExp(rule.pattern.trim())}($|\\W)`, 'i');
+};
+
+// Validate a new rule. Returns { error } or { rule } without id.
+const parseAutoReply = (body) => {
+    const { matchType = 'keyword', pattern, reply, cooldownSeconds } = body || {};
+    const groupIds = parseList(body && body.groupIds);
+    const groupNames = parseList(body && body.groupNames);
+
+    if (!MATCH_TYPES.includes(matchType)) {
+        return { error: `matchType must be one of: ${MATCH_TYPES.join(', ')}` };
+    }
+    if (!pattern || typeof pattern !== 'string' || !pattern.trim()) {
+        return { error: 'pattern is required' };
+    }
+    if (matchType === 'regex') {
+        try {
+            new RegExp(pattern, 'i');
+        } catch (error) {
+            return { error: `Invalid regex: ${error.message}` };
+        }
+    }
+    if (!reply || typeof reply !== 'string' || !reply.trim()) {
+        return { error: 'reply is required' };
+    }
+    if (groupIds.length === 0 && groupNames.length === 0) {
+        return { error: 'At least one of groupIds or groupNames is required' };
+    }
+
+    let cooldown = DEFAULT_COOLDOWN_SECONDS;
+    if (cooldownSeconds !== undefined && cooldownSeconds !== '') {
+        cooldown = Number(cooldownSeconds);
+        if (!Number.isFinite(cooldown) || cooldown < 0) {
+            return { error: 'cooldownSeconds must be zero or a positive number' };
+        }
+    }
+
+    return {
+        rule: {
+            matchType,
+            pattern,
+            reply,
+            groupIds,
+            groupNames,
+            sessionIds: parseList(body.sessionIds),
+            cooldownSeconds: cooldown
+        }
+    };
+};
+
+const createAutoReply = (fields, createdBy = null) => {
+    const rules = loadAutoReplies();
+    const rule = {
+        id: Date.now().toString(),
+        ...fields,
+        createdAt: new Date().toISOString(),
+        createdBy
+    };
+
+    rules.push(rule);
+    saveAutoReplies(rules);
+    return rule;
+};
+
+// Delete a rule and return it, so its attachment can be removed too
+const deleteAutoReply = (id) => {
+    const rules = loadAutoReplies();
+    const rule = rules.find(stored => stored.id === id);
+
+    if (rule) {
+        saveAutoReplies(rules.filter(stored => stored.id !== id));
+    }
+    return rule || null;
+};
+
+// Whether a rule applies to a group of a session
+const isInScope = (rule, { groupId, groupName, sessionId }) => {
+    if (rule.sessionIds.length > 0 && !rule.sessionIds.includes(sessionId)) {
+        return false;
+    }
+    return rule.groupIds.includes(groupId) || rule.groupNames.includes(groupName);
+};
+
+// Create a responder that picks the first rule matching an incoming group message
+// and keeps each rule quiet in a group for its cooldown after replying there.
+const createAutoResponder = () => {
+    // Last reply time per "<rule id>:<group id>"
+    const lastReplies = new Map();
+
+    const isCoolingDown = (rule, groupId, now = Date.now()) => {
+        const last = lastReplies.get(`${rule.id}:${groupId}`);
+        return Boolean(last) && now - last < rule.cooldownSeconds * 1000;
+    };
+
+    // Returns { rule, match } for the first rule that should answer, or null
+    const findReply = ({ body, groupId, groupName, sessionId }) => {
+        if (!body) {
+            return null;
+        }
+
+        for (const rule of loadAutoReplies()) {
+            if (!isInScope(rule, { groupId, groupName, sessionId }) || isCoolingDown(rule, groupId)) {
+                continue;
+            }
+
+            const match = body.match(getRulePattern(rule));
+            if (match) {
+                return { rule, match: rule.matchType === 'regex' ? match[0] : rule.pattern.trim() };
+            }
+        }
+        return null;
+    };
+
+    const markReplied = (rule, groupId) => {
+        lastReplies.set(`${rule.id}:${groupId}`, Date.now());
+    };
+
+    return { findReply, markReplied };
+};
+
+module.exports = {
+    MATCH_TYPES,
+    loadAutoReplies,
+    parseAutoReply,
+    createAutoReply,
+    deleteAutoReply,
+    createAutoResponder
+};
@@ -0,0 +1,144 @@
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const GROUP_LISTS_FILE = './group-lists.json';
+
+const loadGroupLists = () => readJsonFile(GROUP_LISTS_FILE);
+const saveGroupLists = (lists) => writeJsonFile(GROUP_LISTS_FILE, lists);
+
+const getGroupList = (name) => loadGroupLists().find(list => list.name === name) || null;
+
+// Create or replace a saved group list
+const saveGroupList = ({ name, groupIds = [], groupNames = [] }) => {
+    const lists = loadGroupLists().filter(list => list.name !== name);
+    const list = { name, groupIds, groupNames, updatedAt: new Date().toISOString() };
+
+    lists.push(list);
+    saveGroupLists(lists);
+    return list;
+};
+
+const deleteGroupList = (name) => {
+    const lists = loadGroupLists();
+    const remaining = lists.filter(list => list.name !== name);
+
+    if (remaining.length === lists.length) {
+        return false;
+    }
+    saveGroupLists(remaining);
+    return true;
+};
+
+// Accept a list as an array, a JSON array string or a comma-separated string,
+// since multipart forms cannot send arrays directly
+const parseList = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    if (Array.isArray(value)) {
+        return value.map(String).map(item => item.trim()).filter(Boolean);
+    }
+
+    const text = String(value).trim();
+    if (text.startsWith('[')) {
+        try {
+            return parseList(JSON.parse(text));
+        } catch (error) {
+            // Fall through and treat it as a comma-separated list
+        }
+    }
+    return text.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+// Validate the targeting fields of a broadcast request.
+// Returns { error } on bad input, otherwise { target }.
+const parseBroadcastTarget = (body) => {
+    const { nameFilter, nameRegex, groupList } = body || {};
+    const target = {
+        groupIds: parseList(body && body.groupIds),
+        groupNames: parseList(body && body.groupNames),
+        nameFilter: nameFilter || null,
+        nameRegex: nameRegex || null,
+        groupList: groupList || null
+    };
+
+    if (target.nameRegex) {
+        try {
+            new RegExp(target.nameRegex, 'i');
+        } catch (error) {
+            return { error: `Invalid nameRegex: ${error.message}` };
+        }
+    }
+
+    if (target.groupList && !getGroupList(target.groupList)) {
+        return { error: `Group list "${target.groupList}" not found` };
+    }
+
+    if (!target.groupIds.length && !target.groupNames.length && !target.nameFilter && !target.nameRegex && !target.groupList) {
+        return { error: 'Provide at least one of: groupIds, groupNames, nameFilter, nameRegex, groupList' };
+    }
+
+    return { target };
+};
+
+// Match a broadcast target against the available groups. Name filters and
+// regexes are case-insensitive. Returns the matched groups (each once) and the
+// explicit ids or names that matched nothing.
+const resolveBroadcastTargets = (groups, target) => {
+    const savedList = target.groupList ? getGroupList(target.groupList) : null;
+    const groupIds = [...target.groupIds, ...(savedList ? savedList.groupIds : [])];
+    const groupNames = [...target.groupNames, ...(savedList ? savedList.groupNames : [])];
+    const nameFilter = target.nameFilter ? target.nameFilter.toLowerCase() : null;
+    const nameRegex = target.nameRegex ? new RegExp(target.nameRegex, 'i') : null;
+
+    const matched = groups.filter(group => {
+        const name = group.name || '';
+        return groupIds.includes(group.id._serialized)
+            || groupNames.includes(name)
+            || (nameFilter && name.toLowerCase().includes(nameFilter))
+            || (nameRegex && nameRegex.test(name));
+    });
+
+    const missing = [
+        ...groupIds
+            .filter(id => !groups.some(group => group.id._serialized === id))
+            .map(value => ({ type: 'groupId', value })),
+        ...groupNames
+            .filter(name => !groups.some(group => group.name === name))
+            .map(value => ({ type: 'groupName', value }))
+    ];
+
+    return { groups: matched, missing };
+};
+
+// Short human-readable summary of a target, used in logs and task listings
+const describeTarget = (target) => {
+    const parts = [];
+
+    if (target.groupIds.length) {
+        parts.push(`${target.groupIds.length} group id(s)`);
+    }
+    if (target.groupNames.length) {
+        parts.push(`groups ${target.groupNames.map(name => `"${name}"`).join(', ')}`);
+    }
+    if (target.nameFilter) {
+        parts.push(`names containing "${target.nameFilter}"`);
+    }
+    if (target.nameRegex) {
+        parts.push(`names matching /${target.nameRegex}/i`);
+    }
+    if (target.groupList) {
+        parts.push(`list "${target.groupList}"`);
+    }
+    return parts.join(' + ');
+};
+
+module.exports = {
+    loadGroupLists,
+    getGroupList,
+    saveGroupList,
+    deleteGroupList,
+    parseList,
+    parseBroadcastTarget,
+    resolveBroadcastTargets,
+    describeTarget
+};
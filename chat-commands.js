@@ -0,0 +1,147 @@
+const { getNextRuns, getTaskSession, isFinished } = require('./scheduler');
+
+// Group messages starting with this are read as bot commands
+const COMMAND_PREFIX = '!';
+
+const COMMAND_NAMES = ['help', 'list', 'schedule', 'pause', 'resume', 'cancel'];
+
+// Most tasks listed in one !list reply
+const MAX_LISTED_TASKS = 20;
+
+const HELP_TEXT = [
+    '🤖 Bot commands (group admins only):',
+    '!schedule "<cron>" <message> — repeat a message, e.g. !schedule "0 9 * * 1-5" Good morning',
+    '!schedule <date> <message> — send once, e.g. !schedule 2025-12-31T09:00 Happy new year',
+    '!list — scheduled messages for this group',
+    '!pause <id> — pause a scheduled message',
+    '!resume <id> — resume a paused one',
+    '!cancel <id> — delete a scheduled message',
+    '!help — this list'
+].join('\n');
+
+// Parse "!name rest of the text". Returns null for ordinary messages and commands
+// this bot does not know, otherwise { name, args } with args the raw text after the name.
+const parseCommand = (body) => {
+    if (typeof body !== 'string' || !body.startsWith(COMMAND_PREFIX)) {
+        return null;
+    }
+
+    const match = body.slice(COMMAND_PREFIX.length).match(/^(\w+)\s*([\s\S]*)$/);
+    if (!match || !COMMAND_NAMES.includes(match[1].toLowerCase())) {
+        return null;
+    }
+    return { name: match[1].toLowerCase(), args: match[2].trim() };
+};
+
+// Split off the first argument, which may be "double quoted" (WhatsApp's curly quotes
+// work too). Returns [argument, rest].
+const takeArgument = (text) => {
+    const quoted = text.match(/^["“”]([^"“”]*)["“”]\s*([\s\S]*)$/);
+    if (quoted) {
+        return [quoted[1].trim(), quoted[2].trim()];
+    }
+
+    const [first, ...rest] = text.split(/\s+/);
+    return [first, rest.join(' ').trim()];
+};
+
+// One line of a !list reply
+const describeTaskLine = (task) => {
+    const [nextRun] = getNextRuns(task, 1);
+    const when = task.cron ? `"${task.cron}"` : task.sendAt;
+    // Tasks can carry only attachments or only variants, with no message of their own
+    const message = task.message || '';
+    const fallback = task.variants && task.variants.length > 0 ? '[variants]' : '[attachment]';
+    const preview = message.length > 40 ? `${message.slice(0, 40)}…` : (message || fallback);
+    return `• ${task.id} ${when} (${task.status}${nextRun ? `, next ${nextRun.toISOString()}` : ''}) — ${preview}`;
+};
+
+// Create the command runner. scheduleMessage(body, context) creates a task the same
+// way POST /api/messages/schedule does and resolves to { task } or { error }.
+// onCancel(task) cleans up after a deleted task.
+const createChatCommands = ({ scheduler, scheduleMessage, onCancel = () => {} }) => {
+    // Commands only see the tasks of the group (and session) they were sent in
+    const getGroupTask = (id, { groupId, sessionId }) => {
+        const task = scheduler.getTask(id);
+        return task && task.groupId === groupId && getTaskSession(task) === sessionId ? task : null;
+    };
+
+    const schedule = async (args, context) => {
+        const [when, message] = takeArgument(args);
+        if (!when || !message) {
+            return 'Usage: !schedule "<cron>" <message> or !schedule <date> <message>';
+        }
+
+        // Cron expressions always contain spaces; a send time never does
+        const timing = when.includes(' ') ? { cronTime: when } : { sendAt: when };
+        const { task, error } = await scheduleMessage({ groupId: context.groupId, message, description: 'Scheduled from chat', ...timing }, context);
+        if (!task) {
+            return `❌ ${error}`;
+        }
+
+        const [nextRun] = getNextRuns(task, 1);
+        return `✅ Scheduled ${task.id}${nextRun ? `, first run ${nextRun.toISOString()}` : ''}`;
+    };
+
+    const list = (context) => {
+        const tasks = scheduler.listTasks()
+            .filter(task => task.groupId === context.groupId && getTaskSession(task) === context.sessionId && !isFinished(task));
+
+        if (tasks.length === 0) {
+            return 'No scheduled messages for this group.';
+        }
+
+        const lines = tasks.slice(0, MAX_LISTED_TASKS).map(describeTaskLine);
+        if (tasks.length > MAX_LISTED_TASKS) {
+            lines.push(`…and ${tasks.length - MAX_LISTED_TASKS} more`);
+        }
+        return [`📅 ${tasks.length} scheduled message(s):`, ...lines].join('\n');
+    };
+
+    // !cancel, !pause and !resume all take a task id
+    const changeTask = (name, args, context) => {
+        const [id] = takeArgument(args);
+        if (!id) {
+            return `Usage: !${name} <id>`;
+        }
+
+        const task = getGroupTask(id, context);
+        if (!task) {
+            return `❌ No scheduled message ${id} in this group. Send !list to see them.`;
+        }
+
+        if (name === 'cancel') {
+            onCancel(scheduler.cancelTask(id));
+            return `🗑️ Deleted scheduled message ${id}`;
+        }
+
+        if (isFinished(task)) {
+            return `❌ Scheduled message ${id} has already ${task.status === 'expired' ? 'expired' : 'completed'}`;
+        }
+        if (name === 'pause') {
+            scheduler.pauseTask(id);
+            return `⏸️ Paused scheduled message ${id}`;
+        }
+        scheduler.resumeTask(id);
+        return `▶️ Resumed scheduled message ${id}`;
+    };
+
+    // Run a parsed command sent in a group. context is { groupId, sessionId, author }.
+    // Resolves to the reply text.
+    const run = async ({ name, args }, context) => {
+        if (name === 'list') {
+            return list(context);
+        }
+        if (name === 'schedule') {
+            return schedule(args, context);
+        }
+        if (['pause', 'resume', 'cancel'].includes(name)) {
+            return changeTask(name, args, context);
+        }
+        return HELP_TEXT;
+    };
+
+    return { run };
+};
+
+module.exports = { COMMAND_PREFIX, COMMAND_NAMES, parseCommand, takeArgument, createChatCommands };
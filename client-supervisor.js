@@ -0,0 +1,240 @@
+const DEFAULT_OPTIONS = {
+    // How the client is called in logs
+    name: 'WhatsApp client',
+    // First reconnect delay; doubles after each consecutive failure
+    baseDelayMs: Number(process.env.RECONNECT_BASE_DELAY_MS) || 5000,
+    maxDelayMs: Number(process.env.RECONNECT_MAX_DELAY_MS) || 5 * 60 * 1000,
+    // How long initialize() may take to show a QR code or become ready before it counts as hung
+    initTimeoutMs: Number(process.env.RECONNECT_INIT_TIMEOUT_MS) || 3 * 60 * 1000,
+    // Consecutive failures after which the supervisor escalates
+    escalateAfter: Number(process.env.RECONNECT_ESCALATE_AFTER) || 5,
+    // How long destroying an old client may take before it is abandoned
+    destroyTimeoutMs: 15000
+};
+
+// Resolve after a promise settles or the timeout passes, whichever comes first
+const withTimeout = (promise, ms) => Promise.race([
+    promise,
+    new Promise(resolve => setTimeout(resolve, ms))
+]);
+
+// Create a supervisor that owns exactly one WhatsApp client at a time.
+// createClient() builds a new, uninitialized Client. setupClient(client) attaches
+// the app's own event handlers. onUp(client) runs when the client is ready and
+// onDown(reason) when it is lost. Lost clients are destroyed and replaced after
+// an exponential backoff; onEscalate({ failures, reason }) runs once the failures
+// in a row reach escalateAfter.
+const createClientSupervisor = ({ createClient, setupClient = () => {}, onUp = () => {}, onDown = () => {}, onEscalate = () => {} }, overrides = {}) => {
+    const options = { ...DEFAULT_OPTIONS, ...overrides };
+    let client = null;
+    // Bumped for every new client so events from replaced clients are ignored
+    let generation = 0;
+    let health = 'starting';
+    let failures = 0;
+    let lastFailure = null;
+    let escalated = false;
+    let retryTimer = null;
+    let nextRetryAt = null;
+    let watchdog = null;
+
+    const clearWatchdog = () => {
+        if (watchdog) {
+            clearTimeout(watchdog);
+            watchdog = null;
+        }
+    };
+
+    const clearRetry = () => {
+        if (retryTimer) {
+            clearTimeout(retryTimer);
+            retryTimer = null;
+        }
+        nextRetryAt = null;
+    };
+
+    const destroyClient = async (oldClient) => {
+        try {
+            await withTimeout(oldClient.destroy(), options.destroyTimeoutMs);
+        } catch (error) {
+            // The browser is often already gone; nothing more to clean up
+            console.log(`⚠️ Error destroying old ${options.name}:`, error.message);
+        }
+    };
+
+    const handleFailure = (clientGeneration, reason) => {
+        if (clientGeneration !== generation) {
+            return;
+        }
+
+        // The failed client is done: its late events (a ready after a hang, a disconnect
+        // while it is destroyed) must not bring it back or count as another failure
+        generation += 1;
+        clearWatchdog();
+        clearRetry();
+        failures += 1;
+        lastFailure = { reason, at: new Date().toISOString() };
+        health = failures >= options.escalateAfter ? 'failed' : 'degraded';
+
+        const delay = Math.min(options.baseDelayMs * 2 ** (failures - 1), options.maxDelayMs);
+        console.log(`❌ ${options.name} down (${failures} failure(s) in a row): ${reason}`);
+        console.log(`🔄 Reconnecting in ${Math.round(delay / 1000)}s...`);
+
+        onDown(reason);
+
+        if (failures >= options.escalateAfter && !escalated) {
+            escalated = true;
+            onEscalate({ failures, reason });
+        }
+
+        nextRetryAt = new Date(Date.now() + delay);
+        retryTimer = setTimeout(() => {
+            retryTimer = null;
+            start();
+        }, delay);
+    };
+
+    // Treat a client that has not shown a QR code or become ready in time as hung
+    const armWatchdog = (clientGeneration, phase) => {
+        clearWatchdog();
+        watchdog = setTimeout(() => {
+            handleFailure(clientGeneration, `Client hung while ${phase} for ${Math.round(options.initTimeoutMs / 1000)}s`);
+        }, options.initTimeoutMs);
+    };
+
+    // Replace the current client (if any) with a fresh one
+    const start = async () => {
+        clearRetry();
+        clearWatchdog();
+
+        generation += 1;
+        const clientGeneration = generation;
+        const previous = client;
+        client = null;
+
+        if (previous) {
+            await destroyClient(previous);
+        }
+        // Another start may have begun while the old client was being destroyed
+        if (clientGeneration !== generation) {
+            return;
+        }
+
+        let newClient;
+        try {
+            newClient = createClient();
+        } catch (error) {
+            handleFailure(clientGeneration, `Could not create client: ${error.message}`);
+            return;
+        }
+        client = newClient;
+
+        const isCurrent = () => clientGeneration === generation;
+
+        // Waiting for someone to scan the QR code is not a hang
+        newClient.on('qr', () => {
+            if (isCurrent()) {
+                clearWatchdog();
+            }
+        });
+
+        newClient.on('authenticated', () => {
+            if (isCurrent()) {
+                armWatchdog(clientGeneration, 'loading after authentication');
+            }
+        });
+
+        newClient.on('ready', () => {
+            if (!isCurrent()) {
+                return;
+            }
+            clearWatchdog();
+            clearRetry();
+            failures = 0;
+            escalated = false;
+            health = 'healthy';
+            onUp(newClient);
+        });
+
+        newClient.on('disconnected', (reason) => {
+            handleFailure(clientGeneration, `Disconnected: ${reason}`);
+        });
+
+        newClient.on('auth_failure', (message) => {
+            handleFailure(clientGeneration, `Authentication failed: ${message}`);
+        });
+
+        setupClient(newClient);
+
+        console.log(`🚀 Initializing ${options.name}...`);
+        armWatchdog(clientGeneration, 'initializing');
+        newClient.initialize().catch(error => {
+            handleFailure(clientGeneration, `Failed to initialize: ${error.message}`);
+        });
+    };
+
+    // Report a failure noticed outside the client's own events, e.g. a closed session while sending
+    const reportFailure = (reason) => {
+        if (client && health === 'healthy') {
+            handleFailure(generation, reason);
+        }
+    };
+
+    // Unlink the account and start a fresh client that waits for a new QR scan
+    const logout = async () => {
+        const current = client;
+        // Stop the old client's disconnect event from counting as a failure
+        generation += 1;
+        clearWatchdog();
+        clearRetry();
+        client = null;
+
+        onDown('LOGOUT');
+        try {
+            await current.logout();
+        } finally {
+            await destroyClient(current);
+            failures = 0;
+            escalated = false;
+            health = 'starting';
+            start();
+        }
+    };
+
+    // Shut the client down for good, without reconnecting. With unlink the
+    // account is logged out first, which also removes its stored auth data.
+    const stop = async ({ unlink = false } = {}) => {
+        const current = client;
+        generation += 1;
+        clearWatchdog();
+        clearRetry();
+        client = null;
+        health = 'stopped';
+
+        if (!current) {
+            return;
+        }
+        if (unlink) {
+            try {
+                await withTimeout(current.logout(), options.destroyTimeoutMs);
+            } catch (error) {
+                console.log(`⚠️ Error logging out ${options.name}:`, error.message);
+            }
+        }
+        await destroyClient(current);
+    };
+
+    const getClient = () => client;
+
+    const getState = () => ({
+        health,
+        consecutiveFailures: failures,
+        escalated,
+        lastFailure,
+        nextRetryAt: nextRetryAt ? nextRetryAt.toISOString() : null,
+        options: { ...options }
+    });
+
+    return { start, restart: start, reportFailure, logout, stop, getClient, getState };
+};
+
+module.exports = { createClientSupervisor };
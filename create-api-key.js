@@ -0,0 +1,40 @@
+const { ROLES, createApiKey, loadApiKeys, revokeApiKey, describeApiKey } = require("./auth");
+
+// Usage:
+//   node create-api-key.js <name> <role>   create a key (role: viewer, sender or admin)
+//   node create-api-key.js --list          list existing keys
+//   node create-api-key.js --revoke <id>   revoke a key
+const [command, value] = process.argv.slice(2);
+
+if (command === "--list") {
+    const keys = loadApiKeys().map(describeApiKey);
+    if (keys.length === 0) {
+        console.log("No API keys yet");
+    }
+    keys.forEach(key => console.log(`🔑 ${key.id}  ${key.name} (${key.role}) created ${key.createdAt}`));
+    process.exit(0);
+}
+
+if (command === "--revoke") {
+    if (!revokeApiKey(value)) {
+        console.error(`❌ No API key with id "${value}"`);
+        process.exit(1);
+    }
+    console.log(`🗑️ Revoked API key ${value}`);
+    process.exit(0);
+}
+
+if (!command || !ROLES.includes(value)) {
+    console.error(`Usage: node create-api-key.js <name> <${ROLES.join("|")}>`);
+    process.exit(1);
+}
+
+try {
+    const { key, apiKey } = createApiKey({ name: command, role: value, createdBy: "cli" });
+    console.log(`✅ Created ${apiKey.role} key "${apiKey.name}" (id ${apiKey.id})`);
+    console.log(`🔐 ${key}`);
+    console.log("Store it now; it cannot be shown again.");
+} catch (error) {
+    console.error("❌", error.message);
+    process.exit(1);
+}
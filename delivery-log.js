@@ -0,0 +1,74 @@
+const { appendLogEntry, readLogEntries } = require('./jsonl-log');
+
+const LOG_FILE = './delivery-log.jsonl';
+
+// Most entries a single history query returns
+const MAX_QUERY_LIMIT = 1000;
+
+// Append one delivery attempt to the log. Entries are never rewritten.
+// status is 'sent' or 'failed'; source is 'api', 'schedule', 'script', 'broadcast' or 'auto-reply'.
+// apiKey names the API key that asked for the message, when there was one, and
+// sessionId the WhatsApp session it went out from. Tasks with message variants add
+// variantIndex, the zero-based variant that was sent.
+const recordDelivery = (entry) => appendLogEntry(LOG_FILE, {
+    source: 'api',
+    status: 'sent',
+    groupName: null,
+    taskId: null,
+    message: null,
+    imageCount: 0,
+    requestedBy: null,
+    apiKey: null,
+    sessionId: null,
+    error: null,
+    ...entry
+}, 'delivery log');
+
+// Read every logged delivery, oldest first, skipping lines that do not parse
+const readDeliveries = () => readLogEntries(LOG_FILE);
+
+// Parse history filters from a query string. Returns { error } or { filters }.
+// A groupId is preferred over groupName, which stops matching once a group is renamed.
+const parseHistoryFilters = (query) => {
+    const { groupId, groupName, taskId, sessionId, status, from, to, limit } = query || {};
+    const filters = { groupId, groupName: groupId ? undefined : groupName, taskId, sessionId, status, limit: 100 };
+
+    if (status !== undefined && !['sent', 'failed'].includes(status)) {
+        return { error: 'status must be one of: sent, failed' };
+    }
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value !== undefined) {
+            const date = new Date(value);
+            if (isNaN(date.getTime())) {
+                return { error: `Invalid ${name} date. Use ISO string format (e.g., "2024-12-31T00:00:00.000Z")` };
+            }
+            filters[name] = date;
+        }
+    }
+
+    if (limit !== undefined) {
+        const max = Number(limit);
+        if (!Number.isInteger(max) || max <= 0 || max > MAX_QUERY_LIMIT) {
+            return { error: `limit must be a whole number between 1 and ${MAX_QUERY_LIMIT}` };
+        }
+        filters.limit = max;
+    }
+
+    return { filters };
+};
+
+// Find logged deliveries matching the filters, newest first
+const queryDeliveries = ({ groupId, groupName, taskId, sessionId, status, from, to, limit = 100 } = {}) => {
+    return readDeliveries()
+        .filter(entry => groupId ? entry.groupId === groupId : (!groupName || entry.groupName === groupName))
+        .filter(entry => !taskId || entry.taskId === taskId)
+        .filter(entry => !sessionId || entry.sessionId === sessionId)
+        .filter(entry => !status || entry.status === status)
+        .filter(entry => !from || new Date(entry.at) >= from)
+        .filter(entry => !to || new Date(entry.at) <= to)
+        .reverse()
+        .slice(0, limit);
+};
+
+module.exports = { recordDelivery, readDeliveries, parseHistoryFilters, queryDeliveries };
@@ -0,0 +1,87 @@
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const DRAFTS_FILE = './drafts.json';
+
+const DRAFT_STATUSES = ['pending', 'approved', 'rejected', 'failed'];
+
+const loadDrafts = () => readJsonFile(DRAFTS_FILE);
+const saveDrafts = (drafts) => writeJsonFile(DRAFTS_FILE, drafts);
+
+const getDraft = (id) => loadDrafts().find(draft => draft.id === id) || null;
+
+const listDrafts = (status) => loadDrafts().filter(draft => !status || draft.status === status);
+
+// Store a new pending draft. Every change to a draft is added to its audit trail.
+const createDraft = (fields, requestedBy) => {
+    const now = new Date().toISOString();
+    const draft = {
+        id: Date.now().toString(),
+        status: 'pending',
+        ...fields,
+        requestedBy,
+        requestedAt: now,
+        reviewedBy: null,
+        reviewedAt: null,
+        reviewComment: null,
+        result: null,
+        audit: [{ at: now, action: 'requested', by: requestedBy, comment: null }]
+    };
+
+    const drafts = loadDrafts();
+    drafts.push(draft);
+    saveDrafts(drafts);
+    return draft;
+};
+
+// Change a stored draft. An update returning false leaves it as it was.
+const updateDraft = (id, update) => {
+    const drafts = loadDrafts();
+    const draft = drafts.find(entry => entry.id === id);
+    if (!draft || update(draft, new Date().toISOString()) === false) {
+        return null;
+    }
+
+    saveDrafts(drafts);
+    return draft;
+};
+
+// Check that a key may approve or reject a draft: it must still be pending, and
+// only someone other than the requester may approve it.
+// Returns { status, error } ready to send back as an HTTP error, or null.
+const getReviewError = (draft, status, by) => {
+    if (!draft) {
+        return { status: 404, error: 'Draft not found' };
+    }
+    if (draft.status !== 'pending') {
+        return { status: 409, error: `Draft is already ${draft.status}` };
+    }
+    if (status === 'approved' && draft.requestedBy === by) {
+        return { status: 403, error: 'Drafts must be approved by someone other than the requester' };
+    }
+    return null;
+};
+
+// Approve or reject a pending draft, recording who did it and why. Returns null
+// when the draft was reviewed in the meantime, so only one review goes through.
+const reviewDraft = (id, status, { by, comment = null }) => updateDraft(id, (draft, now) => {
+    if (draft.status !== 'pending') {
+        return false;
+    }
+    draft.status = status;
+    draft.reviewedBy = by;
+    draft.reviewedAt = now;
+    draft.reviewComment = comment;
+    draft.audit.push({ at: now, action: status, by, comment });
+});
+
+// Store what happened when an approved draft was handed on. A result with an
+// error marks the draft as failed.
+const recordDraftResult = (id, result) => updateDraft(id, (draft, now) => {
+    draft.result = result;
+    if (result.error) {
+        draft.status = 'failed';
+        draft.audit.push({ at: now, action: 'failed', by: draft.reviewedBy, comment: result.error });
+    }
+});
+
+module.exports = { DRAFT_STATUSES, getDraft, listDrafts, createDraft, getReviewError, reviewDraft, recordDraftResult };
@@ -0,0 +1,92 @@
+// Topics a dashboard can subscribe to
+const EVENT_TOPICS = ['session', 'schedule', 'queue', 'messages', 'drafts'];
+
+// Recent events kept so a reconnecting client can catch up via Last-Event-ID
+const MAX_BUFFERED_EVENTS = 200;
+
+// Comment lines sent on idle streams so proxies do not close them
+const HEARTBEAT_MS = 25000;
+
+// Parse ?topics=session,queue. Returns { error } or { topics }; no topics means all of them.
+const parseTopics = (value) => {
+    if (!value) {
+        return { topics: [...EVENT_TOPICS] };
+    }
+
+    const topics = String(value).split(',').map(topic => topic.trim()).filter(Boolean);
+    const unknown = topics.filter(topic => !EVENT_TOPICS.includes(topic));
+    if (unknown.length > 0) {
+        return { error: `Unknown topic(s): ${unknown.join(', ')}. Use any of: ${EVENT_TOPICS.join(', ')}` };
+    }
+    return { topics };
+};
+
+const formatEvent = (event) => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+
+// Create a hub that fans typed events out to Server-Sent Events subscribers.
+// Every event is { id, topic, type, at, data }; the SSE event name is its type.
+const createEventStream = () => {
+    const subscribers = new Set();
+    const buffer = [];
+    let nextEventId = 1;
+
+    const publish = (topic, type, data = {}) => {
+        const event = { id: nextEventId++, topic, type, at: new Date().toISOString(), data };
+
+        buffer.push(event);
+        if (buffer.length > MAX_BUFFERED_EVENTS) {
+            buffer.shift();
+        }
+
+        subscribers.forEach(subscriber => {
+            if (subscriber.topics.includes(topic)) {
+                subscriber.res.write(formatEvent(event));
+            }
+        });
+        return event;
+    };
+
+    // Express handler that keeps the response open and streams matching events
+    const handleRequest = (req, res) => {
+        const { error, topics } = parseTopics(req.query.topics);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        // Replay what a reconnecting client missed
+        const lastEventId = Number(req.get('last-event-id'));
+        if (lastEventId) {
+            buffer
+                .filter(event => event.id > lastEventId && topics.includes(event.topic))
+                .forEach(event => res.write(formatEvent(event)));
+        }
+
+        const subscriber = { res, topics };
+        subscribers.add(subscriber);
+        res.write(`: subscribed to ${topics.join(', ')}\n\n`);
+
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            subscribers.delete(subscriber);
+        });
+    };
+
+    const getState = () => ({
+        subscribers: subscribers.size,
+        lastEventId: nextEventId - 1
+    });
+
+    return { publish, handleRequest, getState };
+};
+
+module.exports = { EVENT_TOPICS, createEventStream, parseTopics };
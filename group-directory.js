@@ -0,0 +1,195 @@
+// Fold a group name down for fuzzy matching: case, accents, emoji and punctuation are ignored
+const normalizeName = (name) => String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+// How closely a group name matches a search query, from 0 (no match) to 1 (same name)
+const scoreName = (name, query) => {
+    const target = normalizeName(name);
+    const wanted = normalizeName(query);
+
+    if (!target || !wanted) {
+        return 0;
+    }
+    if (target === wanted) {
+        return 1;
+    }
+    if (target.startsWith(wanted)) {
+        return 0.9;
+    }
+    if (target.includes(wanted)) {
+        return 0.8;
+    }
+
+    // Otherwise score by the share of query words found in the name
+    const words = target.split(' ');
+    const queryWords = wanted.split(' ');
+    const found = queryWords.filter(word => words.some(candidate => candidate.startsWith(word))).length;
+    return found === 0 ? 0 : 0.7 * (found / queryWords.length);
+};
+
+// Summary of a group as returned by the API
+const describeGroup = (group) => ({
+    id: group.id._serialized,
+    name: group.name,
+    participantCount: group.participants ? group.participants.length : 0
+});
+
+// Create an in-memory directory of the account's groups. It is filled from
+// getChats() once and then kept current from the client's group and chat
+// events, so lookups do not have to scan every chat.
+const createGroupDirectory = () => {
+    const groups = new Map();
+    let client = null;
+    let loadedAt = null;
+    let loading = null;
+
+    const getOwnId = () => (client && client.info ? client.info.wid._serialized : null);
+
+    // Re-fetch one group so its name and participants are current
+    const refreshGroup = async (groupId) => {
+        try {
+            const chat = await client.getChatById(groupId);
+            if (chat && chat.isGroup) {
+                groups.set(groupId, chat);
+                return chat;
+            }
+        } catch (error) {
+            console.error(`❌ Failed to refresh group ${groupId}:`, error.message);
+        }
+        return undefined;
+    };
+
+    const removeGroup = (groupId) => {
+        const group = groups.get(groupId);
+        if (groups.delete(groupId)) {
+            console.log(`👋 Group "${group.name}" removed from directory`);
+        }
+    };
+
+    const isAboutUs = (notification) => (notification.recipientIds || []).includes(getOwnId());
+
+    // Build the directory from scratch
+    const load = () => {
+        if (!client) {
+            return Promise.reject(new Error('WhatsApp client not attached'));
+        }
+
+        if (!loading) {
+            loading = client.getChats()
+                .then(chats => {
+                    groups.clear();
+                    chats
+                        .filter(chat => chat.isGroup)
+                        .forEach(chat => groups.set(chat.id._serialized, chat));
+                    loadedAt = new Date();
+                    console.log(`📇 Group directory loaded: ${groups.size} group(s)`);
+                    return groups.size;
+                })
+                .finally(() => {
+                    loading = null;
+                });
+        }
+        return loading;
+    };
+
+    // Lookups made before the first load wait for it instead of failing
+    const ensureLoaded = async () => {
+        if (!loadedAt) {
+            await load();
+        }
+    };
+
+    // Start following a client. Called again whenever the client is recreated.
+    const attach = (newClient) => {
+        client = newClient;
+        groups.clear();
+        loadedAt = null;
+        loading = null;
+
+        client.on('group_join', (notification) => {
+            refreshGroup(notification.chatId);
+        });
+
+        client.on('group_leave', (notification) => {
+            // When we are the one removed, the group no longer belongs in the directory
+            if (isAboutUs(notification)) {
+                removeGroup(notification.chatId);
+            } else {
+                refreshGroup(notification.chatId);
+            }
+        });
+
+        client.on('group_update', (notification) => {
+            refreshGroup(notification.chatId);
+        });
+
+        client.on('group_admin_changed', (notification) => {
+            refreshGroup(notification.chatId);
+        });
+
+        client.on('chat_removed', (chat) => {
+            removeGroup(chat.id._serialized);
+        });
+
+        // Messages from a group we have not seen yet mean we were added to it
+        client.on('message', (message) => {
+            if (loadedAt && message.from.endsWith('@g.us') && !groups.has(message.from)) {
+                refreshGroup(message.from);
+            }
+        });
+    };
+
+    const list = async () => {
+        await ensureLoaded();
+        return [...groups.values()];
+    };
+
+    // Look a group up by id, asking WhatsApp for ids the directory does not know yet
+    const getById = async (groupId) => {
+        await ensureLoaded();
+        if (groups.has(groupId)) {
+            return groups.get(groupId);
+        }
+
+        try {
+            const chat = await client.getChatById(groupId);
+            if (chat && chat.isGroup) {
+                groups.set(groupId, chat);
+                return chat;
+            }
+        } catch (error) {
+            // Malformed ids make WhatsApp Web throw instead of returning nothing
+        }
+        return undefined;
+    };
+
+    // Every group with exactly this name
+    const findByName = async (name) => {
+        await ensureLoaded();
+        return [...groups.values()].filter(group => group.name === name);
+    };
+
+    // Groups whose names resemble the query, best match first
+    const search = async (query, limit = 10) => {
+        await ensureLoaded();
+        return [...groups.values()]
+            .map(group => ({ group, score: scoreName(group.name, query) }))
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score || a.group.name.localeCompare(b.group.name))
+            .slice(0, limit);
+    };
+
+    const getState = () => ({
+        loaded: Boolean(loadedAt),
+        loadedAt: loadedAt ? loadedAt.toISOString() : null,
+        groupCount: groups.size
+    });
+
+    return { attach, load, refresh: load, refreshGroup, list, getById, findByName, search, getState };
+};
+
+module.exports = { createGroupDirectory, describeGroup, normalizeName, scoreName };
@@ -0,0 +1,26 @@
+const fs = require('fs');
+const { applyMentions } = require('./mentions');
+const { canCarryCaption, createMessageMedia } = require('./media');
+
+// Send a message and its attachments (media items) to one group through a send queue.
+// The text is the caption of the first attachment when that can carry one, otherwise
+// it goes first on its own. mentions (see parseMentions) tags participants in the text;
+// selfId is the sending account, which everyone and admins mentions leave out.
+const sendToGroup = async (queue, group, message, media = [], { taskId = null, mentions = null, selfId = null } = {}) => {
+    const { text, ids } = applyMentions(message, mentions, group, { selfId });
+    const textOptions = ids.length > 0 ? { mentions: ids } : {};
+    const items = media.filter(item => fs.existsSync(item.path));
+    const captioned = Boolean(text.trim()) && items.length > 0 && canCarryCaption(items[0]);
+
+    if (text.trim() && !captioned) {
+        await queue.sendMessage(group, text, { taskId, options: textOptions });
+    }
+
+    for (const [index, item] of items.entries()) {
+        const { media: content, options } = createMessageMedia(item);
+        const caption = captioned && index === 0 ? { caption: text, ...textOptions } : {};
+        await queue.sendMessage(group, content, { taskId, options: { ...options, ...caption } });
+    }
+};
+
+module.exports = { sendToGroup };
@@ -1,8 +1,14 @@
 const qrcode = require("qrcode-terminal");
 const { Client, LocalAuth } = require("whatsapp-web.js");
-const cron = require("node-cron");
-const scheduleData = require("./schedule.json");
-const { findGroupByName } = require("./utils");
+const { isTaskCreatorAdmin } = require("./utils");
+const { createGroupDirectory } = require("./group-directory");
+const { createScheduler, getTaskSession, isSingleSessionTask } = require("./scheduler");
+const { DEFAULT_SESSION_ID } = require("./session-manager");
+const { recordDelivery } = require("./delivery-log");
+const { createSendQueue } = require("./send-queue");
+const { renderTaskMessage } = require("./templates");
+const { getVariantMedia } = require("./variants");
+const { sendToGroup } = require("./group-send");
 
 // Initialize WhatsApp Client
 const client = new Client({
@@ -14,12 +20,80 @@ const client = new Client({
     }
 });
 
+// Groups are looked up here rather than by scanning every chat
+const groupDirectory = createGroupDirectory();
+groupDirectory.attach(client);
+
 // QR Code Handler
 client.on("qr", qr => {
     qrcode.generate(qr, { small: true });
     console.log("Scan the QR code above to log in");
 });
 
+// Every outbound message goes through this queue for rate limiting and retries
+const sendQueue = createSendQueue();
+
+// Send a stored task to its group; resolves to true when the message went out
+const runScheduledTask = async (task, { scheduledFor, late, variant = null } = {}) => {
+    const { id, groupId, groupName, message, createdBy } = task;
+    const media = getVariantMedia(task, variant);
+    const delivery = {
+        source: "script",
+        taskId: id,
+        groupId: groupId || null,
+        groupName,
+        message,
+        imageCount: media.length,
+        requestedBy: createdBy || null,
+        sessionId: getTaskSession(task),
+        scheduledFor: scheduledFor ? scheduledFor.toISOString() : null,
+        late: Boolean(late),
+        ...(variant ? { variantIndex: variant.index } : {})
+    };
+
+    const group = groupId
+        ? await groupDirectory.getById(groupId)
+        : (await groupDirectory.findByName(groupName))[0];
+
+    if (!group) {
+        console.log(`❌ Group "${groupName}" not found`);
+        recordDelivery({ ...delivery, status: "failed", error: `Group "${groupName}" not found` });
+        return false;
+    }
+
+    const isAdmin = await isTaskCreatorAdmin(client, group, task);
+    if (!isAdmin) {
+        console.log(`❌ User is not an admin of "${groupName}". Message cannot be sent`);
+        recordDelivery({ ...delivery, status: "failed", error: `User is not an admin of "${groupName}"` });
+        return false;
+    }
+
+    try {
+        // Templates and variables are filled in now, so dates and counters are current
+        const text = renderTaskMessage(task, { group, variant });
+        delivery.message = text;
+
+        // Text (with any mentions) as a caption or on its own, then the attachments
+        await sendToGroup(sendQueue, group, text, media, {
+            taskId: id,
+            mentions: task.mentions || null,
+            selfId: client.info.wid._serialized
+        });
+        console.log(`✅ Message sent to "${groupName}" at ${new Date().toLocaleString()}`);
+        recordDelivery({ ...delivery, status: "sent" });
+        return true;
+    } catch (err) {
+        console.error(`Error sending to "${groupName}":`, err.message);
+        recordDelivery({ ...delivery, status: "failed", error: err.message });
+        return false;
+    }
+};
+
+// This script runs only the default session and has no broadcast support, so those
+// tasks are left untouched for the API server. Both share schedule.json: run one or
+// the other, not both, or tasks fire twice.
+const scheduler = createScheduler({ runTask: runScheduledTask, canRun: isSingleSessionTask });
+
 // On Ready
 client.on("ready", async () => {
     console.log("WhatsApp Client is ready ✅");
@@ -28,35 +102,14 @@ client.on("ready", async () => {
     const currentUser = client.info.wid._serialized;
     console.log(`Logged in as: ${currentUser}`);
 
-    for (const task of scheduleData) {
-        const { groupName, message, cron: cronTime } = task;
-
-        cron.schedule(cronTime, async () => {
-            const group = await findGroupByName(client, groupName);
-
-            if (!group) {
-                console.log(`❌ Group "${groupName}" not found`);
-                return;
-            }
-
-            if (userId) {
-                const isAdmin = await isUserAdmin(client, group, currentUser);
-                if (!isAdmin) {
-                    console.log(`❌ User is not an admin of "${groupName}".
-                        Message cannot be sent`);
-                    return;
-                }
-            }
-
-            try {
-                await group.sendMessage(message);
-                console.log(`✅ Message sent to "${groupName}" at ${new Date().toLocaleString()}`);
-            } catch (err) {
-                console.error(`Error sending to "${groupName}":`, err.message);
-            }
-        });
+    await groupDirectory.load();
+    scheduler.rehydrate(DEFAULT_SESSION_ID);
+    await scheduler.catchUpMissedRuns(DEFAULT_SESSION_ID);
 
-        console.log(`📅 Scheduled message to "${groupName}" => "${message}" [${cronTime}]`);
+    for (const task of scheduler.listTasks()) {
+        if (scheduler.isRunning(task.id)) {
+            console.log(`📅 Scheduled message to "${task.groupName}" => "${task.message}" [${task.cron}]`);
+        }
     }
 });
 
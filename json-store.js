@@ -0,0 +1,18 @@
+const fs = require('fs');
+
+// Read a JSON data file. A missing or unreadable file reads as the fallback, an
+// empty list unless given, so a fresh install starts with no records.
+const readJsonFile = (file, fallback = []) => {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return fallback;
+    }
+};
+
+// Replace a JSON data file's contents, pretty-printed so it can be edited by hand
+const writeJsonFile = (file, data) => {
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+};
+
+module.exports = { readJsonFile, writeJsonFile };
@@ -0,0 +1,41 @@
+const fs = require('fs');
+
+// Append one entry to a JSON Lines log, stamped with an id and the time. Entries are
+// never rewritten. name describes the log in the error shown when it cannot be written.
+const appendLogEntry = (file, entry, name = 'log') => {
+    const record = {
+        id: `${Date.now()}-${Math.round(Math.random() * 1E9)}`,
+        at: new Date().toISOString(),
+        ...entry
+    };
+
+    try {
+        fs.appendFileSync(file, `${JSON.stringify(record)}\n`);
+    } catch (error) {
+        console.error(`❌ Failed to write ${name}:`, error.message);
+    }
+    return record;
+};
+
+// Read every entry of a JSON Lines log, oldest first, skipping lines that do not parse
+const readLogEntries = (file) => {
+    let data;
+    try {
+        data = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        return [];
+    }
+
+    return data.split('\n').reduce((entries, line) => {
+        if (line.trim()) {
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // A partially written line is ignored rather than failing the whole read
+            }
+        }
+        return entries;
+    }, []);
+};
+
+module.exports = { appendLogEntry, readLogEntries };
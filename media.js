@@ -0,0 +1,493 @@
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const multer = require('multer');
+const { MessageMedia } = require('whatsapp-web.js');
+
+const UPLOAD_DIR = './uploads';
+
+// How an attachment is sent. auto leaves it to WhatsApp: images, videos and audio
+// play inline and anything else arrives as a document.
+const SEND_AS = ['auto', 'document', 'voice', 'sticker'];
+
+// Upload fields of the message routes and how their files are sent; images is the original field
+const MEDIA_FIELDS = {
+    images: 'auto',
+    attachments: 'auto',
+    documents: 'document',
+    voice: 'voice',
+    stickers: 'sticker'
+};
+
+// Most attachments one request may carry, uploaded and referenced together
+const MAX_ATTACHMENTS = Number(process.env.MAX_ATTACHMENTS) || 10;
+
+const MB = 1024 * 1024;
+
+// Largest accepted file of each kind; WhatsApp refuses bigger ones anyway
+const MAX_SIZES = {
+    image: (Number(process.env.MAX_IMAGE_MB) || 16) * MB,
+    video: (Number(process.env.MAX_VIDEO_MB) || 16) * MB,
+    audio: (Number(process.env.MAX_AUDIO_MB) || 16) * MB,
+    document: (Number(process.env.MAX_DOCUMENT_MB) || 100) * MB
+};
+
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(MAX_SIZES));
+
+// How long a media URL may take to download
+const FETCH_TIMEOUT_MS = Number(process.env.MEDIA_FETCH_TIMEOUT_MS) || 30000;
+
+// How many redirects a media URL may follow
+const MAX_REDIRECTS = 5;
+
+// Addresses media URLs may not reach: loopback, private networks, link-local (cloud
+// metadata services) and other ranges that are not on the public internet. Each family
+// has its own list, as a BlockList also matches IPv4 addresses against IPv6 ranges.
+const createBlockList = (family, subnets) => {
+    const blockList = new net.BlockList();
+    subnets.forEach(([address, prefix]) => blockList.addSubnet(address, prefix, family));
+    return blockList;
+};
+
+const BLOCKED_ADDRESSES = {
+    ipv4: createBlockList('ipv4', [
+        ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+        ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+    ]),
+    ipv6: createBlockList('ipv6', [
+        // NAT64 (64:ff9b::/96) and 6to4 (2002::/16) addresses carry an IPv4 address
+        ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['2002::', 16],
+        ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+    ])
+};
+
+// Accepted MIME types and the extension their files are stored with
+const MIME_TYPES = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'video/mp4': '.mp4',
+    'video/3gpp': '.3gp',
+    'video/quicktime': '.mov',
+    'audio/mpeg': '.mp3',
+    'audio/ogg': '.ogg',
+    'audio/opus': '.opus',
+    'audio/aac': '.aac',
+    'audio/mp4': '.m4a',
+    'audio/x-m4a': '.m4a',
+    'audio/amr': '.amr',
+    'audio/wav': '.wav',
+    'application/pdf': '.pdf',
+    'application/msword': '.doc',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+    'application/vnd.ms-excel': '.xls',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+    'application/vnd.ms-powerpoint': '.ppt',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+    'text/plain': '.txt',
+    'text/csv': '.csv',
+    'application/zip': '.zip'
+};
+
+// Files referenced by name (earlier uploads, older tasks) get their type from the extension
+const MIME_BY_EXTENSION = Object.entries(MIME_TYPES).reduce(
+    (types, [mimetype, extension]) => (types[extension] ? types : { ...types, [extension]: mimetype }),
+    { '.jpeg': 'image/jpeg' }
+);
+
+const getMimeFromPath = (filePath) => MIME_BY_EXTENSION[path.extname(filePath || '').toLowerCase()] || null;
+
+// image, video, audio or document
+const getMediaKind = (mimetype) => {
+    const [type] = (mimetype || '').split('/');
+    return ['image', 'video', 'audio'].includes(type) ? type : 'document';
+};
+
+// Upload problems the error handler answers with a 4xx instead of a 500
+const createMediaError = (status, message) => Object.assign(new Error(message), { status });
+
+// Check one attachment ({ mimetype, size?, sendAs?, originalname }).
+// Returns { status, error } for a file that cannot be sent, otherwise null.
+const checkMediaFile = ({ mimetype, size, sendAs = 'auto', originalname }) => {
+    const name = originalname ? `"${originalname}"` : 'Attachment';
+
+    if (!MIME_TYPES[mimetype]) {
+        return { status: 415, error: `${name} has unsupported type "${mimetype || 'unknown'}". Supported types: ${Object.keys(MIME_TYPES).join(', ')}` };
+    }
+    if (!SEND_AS.includes(sendAs)) {
+        return { status: 400, error: `sendAs must be one of: ${SEND_AS.join(', ')}` };
+    }
+    if (sendAs === 'voice' && getMediaKind(mimetype) !== 'audio') {
+        return { status: 400, error: `${name} cannot be sent as a voice note; voice notes must be audio` };
+    }
+    if (sendAs === 'sticker' && getMediaKind(mimetype) !== 'image') {
+        return { status: 400, error: `${name} cannot be sent as a sticker; stickers must be images` };
+    }
+
+    const maxSize = MAX_SIZES[getMediaKind(mimetype)];
+    if (size !== undefined && size > maxSize) {
+        return { status: 413, error: `${name} is larger than the ${maxSize / MB} MB limit for ${getMediaKind(mimetype)} files` };
+    }
+    return null;
+};
+
+// multer fileFilter: refuse unsupported types before they are written to disk.
+// Sizes are checked by multer's limit and, per kind, by collectRequestMedia.
+const mediaFileFilter = (req, file, cb) => {
+    const problem = checkMediaFile({ ...file, sendAs: MEDIA_FIELDS[file.fieldname] || 'auto' });
+    if (problem) {
+        return cb(createMediaError(problem.status, problem.error));
+    }
+    cb(null, true);
+};
+
+// The 4xx answer for an upload error, or null for errors that are not about uploads
+const describeUploadError = (error) => {
+    if (error.status >= 400 && error.status < 500) {
+        return { status: error.status, error: error.message };
+    }
+    if (!(error instanceof multer.MulterError)) {
+        return null;
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+        return { status: 413, error: `Files may be at most ${MAX_UPLOAD_BYTES / MB} MB` };
+    }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+        return { status: 400, error: `At most ${MAX_ATTACHMENTS} files can be uploaded at once` };
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+        return { status: 400, error: `Unexpected upload field "${error.field}" or too many files in it. Use: ${Object.keys(MEDIA_FIELDS).join(', ')}` };
+    }
+    return { status: 400, error: error.message };
+};
+
+// Files uploaded to a message route, each marked with how its field sends it
+const getUploadedFiles = (req) => {
+    const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+    return files.map(file => ({ ...file, sendAs: MEDIA_FIELDS[file.fieldname] || 'auto' }));
+};
+
+const removeFiles = (files) => {
+    files.forEach(file => {
+        if (fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+        }
+    });
+};
+
+// A fresh path in the upload directory for a file of the given type
+const getUploadPath = (mimetype) => path.join(UPLOAD_DIR, `${Date.now()}-${Math.round(Math.random() * 1E9)}${MIME_TYPES[mimetype]}`);
+
+// Parse the media field: a JSON array (or one item) of URLs, file names returned by
+// POST /api/upload, or { url | upload, sendAs, filename } objects.
+// Returns { error } or { references } of { url?, upload?, sendAs, filename }.
+const parseMediaReferences = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return { references: [] };
+    }
+
+    let items = value;
+    if (typeof value === 'string') {
+        try {
+            items = JSON.parse(value);
+        } catch (error) {
+            // A single URL or upload name
+            items = value;
+        }
+    }
+    items = Array.isArray(items) ? items : [items];
+
+    const references = [];
+    for (const item of items) {
+        const reference = typeof item === 'string'
+            ? (/^https?:\/\//i.test(item) ? { url: item } : { upload: item })
+            : (item || {});
+        const { url, upload, sendAs = 'auto', filename = null } = reference;
+
+        if (!url && !upload) {
+            return { error: 'Each media item needs a url or the name of an upload from POST /api/upload' };
+        }
+        if (upload && (typeof upload !== 'string' || path.basename(upload) !== upload)) {
+            return { error: `Invalid upload name "${upload}"` };
+        }
+        if (!SEND_AS.includes(sendAs)) {
+            return { error: `sendAs must be one of: ${SEND_AS.join(', ')}` };
+        }
+        references.push({ url: url || null, upload: upload || null, sendAs, filename });
+    }
+    return { references };
+};
+
+// Copy an earlier upload so sending or scheduling it leaves the original in place.
+// Returns { file } or { status, error }.
+const copyUpload = ({ upload, sendAs, filename }) => {
+    const uploadPath = path.join(UPLOAD_DIR, upload);
+    if (!fs.existsSync(uploadPath) || !fs.statSync(uploadPath).isFile()) {
+        return { status: 404, error: `Uploaded file "${upload}" not found` };
+    }
+
+    const file = {
+        fieldname: 'media',
+        originalname: filename || upload,
+        mimetype: getMimeFromPath(upload),
+        size: fs.statSync(uploadPath).size,
+        sendAs
+    };
+    const problem = checkMediaFile(file);
+    if (problem) {
+        return problem;
+    }
+
+    file.path = getUploadPath(file.mimetype);
+    fs.copyFileSync(uploadPath, file.path);
+    return { file };
+};
+
+// Whether an IP address is one media URLs may not reach
+const isBlockedAddress = (address) => {
+    // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as the IPv4 address they carry
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) {
+        return isBlockedAddress(mapped[1]);
+    }
+
+    const family = net.isIP(address);
+    if (!family) {
+        return true;
+    }
+    const type = family === 4 ? 'ipv4' : 'ipv6';
+    return BLOCKED_ADDRESSES[type].check(address, type);
+};
+
+// Resolve the host of a media URL to the address to connect to. Every address the
+// host resolves to must be public. Returns { address, family } or { error }.
+const resolveMediaHost = async (parsedUrl) => {
+    const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    } catch (error) {
+        return { error: `could not resolve ${hostname}` };
+    }
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+        return { error: `${hostname} points to the non-public address ${blocked.address}` };
+    }
+    return addresses[0];
+};
+
+// GET a URL from the address it was checked at. The connection's lookup answers with
+// that address, so the host cannot resolve somewhere else in between (DNS rebinding).
+// Resolves to the response.
+const requestFromAddress = (parsedUrl, { address, family }, signal) => new Promise((resolve, reject) => {
+    const transport = parsedUrl.protocol === 'https:' ? https : http;
+    const request = transport.request(parsedUrl, {
+        signal,
+        lookup: (hostname, options, callback) => (options && options.all
+            ? callback(null, [{ address, family }])
+            : callback(null, address, family))
+    }, resolve);
+    request.on('error', reject);
+    request.end();
+});
+
+// Why fetching a media URL failed; an aborted signal means the download took too long
+const describeFetchError = (error, signal) => (signal.aborted ? `timed out after ${FETCH_TIMEOUT_MS}ms` : error.message);
+
+// Fetch a media URL, following redirects one at a time so every hop's host is checked.
+// Returns { response } or { status, error }.
+const fetchMedia = async (parsedUrl, url, signal) => {
+    let currentUrl = parsedUrl;
+
+    for (let redirects = 0; ; redirects++) {
+        if (!['http:', 'https:'].includes(currentUrl.protocol)) {
+            return { status: 400, error: `Media URLs must use http or https: "${currentUrl.href}"` };
+        }
+        const resolved = await resolveMediaHost(currentUrl);
+        if (resolved.error) {
+            return { status: 400, error: `Media URL "${url}" is not allowed: ${resolved.error}` };
+        }
+
+        let response;
+        try {
+            response = await requestFromAddress(currentUrl, resolved, signal);
+        } catch (error) {
+            return { status: 422, error: `Could not fetch media from ${url}: ${describeFetchError(error, signal)}` };
+        }
+
+        const { location } = response.headers;
+        if (![301, 302, 303, 307, 308].includes(response.statusCode) || !location) {
+            return { response };
+        }
+        response.destroy();
+        if (redirects >= MAX_REDIRECTS) {
+            return { status: 422, error: `Could not fetch media from ${url}: more than ${MAX_REDIRECTS} redirects` };
+        }
+        currentUrl = new URL(location, currentUrl);
+    }
+};
+
+// Download a media URL into the upload directory, checking its type and size.
+// Returns { file } or { status, error }.
+const downloadMedia = async ({ url, sendAs, filename }) => {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        return { status: 400, error: `Invalid media URL "${url}"` };
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+        return { status: 400, error: `Media URLs must use http or https: "${url}"` };
+    }
+
+    const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+    const { response, status, error } = await fetchMedia(parsedUrl, url, signal);
+    if (!response) {
+        return { status, error };
+    }
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+        response.destroy();
+        return { status: 422, error: `Could not fetch media from ${url}: the server answered ${response.statusCode}` };
+    }
+
+    // Servers often label files generically; the URL's extension is a better guess then
+    let mimetype = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!MIME_TYPES[mimetype]) {
+        mimetype = getMimeFromPath(parsedUrl.pathname) || mimetype;
+    }
+
+    const file = {
+        fieldname: 'media',
+        originalname: filename || path.basename(parsedUrl.pathname) || `media${MIME_TYPES[mimetype] || ''}`,
+        mimetype,
+        size: Number(response.headers['content-length']) || undefined,
+        sendAs
+    };
+    const problem = checkMediaFile(file);
+    if (problem) {
+        response.destroy();
+        return problem;
+    }
+
+    // Read with a running total so a missing or wrong content-length cannot fill the disk
+    const maxSize = MAX_SIZES[getMediaKind(mimetype)];
+    const chunks = [];
+    let size = 0;
+    try {
+        for await (const chunk of response) {
+            size += chunk.length;
+            if (size > maxSize) {
+                response.destroy();
+                return checkMediaFile({ ...file, size });
+            }
+            chunks.push(chunk);
+        }
+    } catch (error) {
+        return { status: 422, error: `Could not fetch media from ${url}: ${describeFetchError(error, signal)}` };
+    }
+
+    file.size = size;
+    file.path = getUploadPath(mimetype);
+    fs.writeFileSync(file.path, Buffer.concat(chunks));
+    return { file };
+};
+
+// Every attachment of a message request: uploaded files plus the media field's URLs
+// and earlier uploads, all as multer-like files with a sendAs. Returns { files } or
+// { status, error }; on errors every file of the request is removed.
+const collectRequestMedia = async (req) => {
+    const uploaded = getUploadedFiles(req);
+    const files = [...uploaded];
+    const fail = (problem) => {
+        removeFiles(files);
+        return problem;
+    };
+
+    // multer only knows the overall limit; each kind has its own
+    const problem = uploaded.map(checkMediaFile).find(Boolean);
+    if (problem) {
+        return fail(problem);
+    }
+
+    const { error, references } = parseMediaReferences(req.body && req.body.media);
+    if (error) {
+        return fail({ status: 400, error });
+    }
+    if (files.length + references.length > MAX_ATTACHMENTS) {
+        return fail({ status: 400, error: `At most ${MAX_ATTACHMENTS} attachments can be sent at once` });
+    }
+
+    for (const reference of references) {
+        const result = reference.upload ? copyUpload(reference) : await downloadMedia(reference);
+        if (!result.file) {
+            return fail({ status: result.status, error: result.error });
+        }
+        files.push(result.file);
+    }
+    return { files };
+};
+
+// What tasks, drafts and sends keep of an attachment
+const toMediaItem = (file, storedPath = file.path) => ({
+    path: storedPath,
+    mimetype: file.mimetype || getMimeFromPath(storedPath),
+    originalname: file.originalname || path.basename(storedPath),
+    sendAs: file.sendAs || 'auto'
+});
+
+// The attachments of a task or variant. Records written before other media were
+// supported list bare image paths instead.
+const getMediaItems = (record) => [
+    ...(record.media || []),
+    ...(record.imagePaths || []).map(imagePath => toMediaItem({}, imagePath))
+];
+
+// Whether the message text can go along with an attachment as its caption
+const canCarryCaption = (item) => !['voice', 'sticker'].includes(item.sendAs) && getMediaKind(item.mimetype) !== 'audio';
+
+// The whatsapp-web.js content and sendMessage options for one attachment
+const createMessageMedia = (item) => {
+    const media = MessageMedia.fromFilePath(item.path);
+    if (item.mimetype) {
+        media.mimetype = item.mimetype;
+    }
+    if (item.originalname) {
+        media.filename = item.originalname;
+    }
+
+    const options = {};
+    if (item.sendAs === 'document') {
+        options.sendMediaAsDocument = true;
+    } else if (item.sendAs === 'voice') {
+        options.sendAudioAsVoice = true;
+    } else if (item.sendAs === 'sticker') {
+        options.sendMediaAsSticker = true;
+    }
+    return { media, options };
+};
+
+module.exports = {
+    SEND_AS,
+    MEDIA_FIELDS,
+    MAX_ATTACHMENTS,
+    MAX_UPLOAD_BYTES,
+    MIME_TYPES,
+    getMimeFromPath,
+    checkMediaFile,
+    mediaFileFilter,
+    isBlockedAddress,
+    downloadMedia,
+    describeUploadError,
+    collectRequestMedia,
+    toMediaItem,
+    getMediaItems,
+    canCarryCaption,
+    createMessageMedia
+};
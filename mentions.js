@@ -0,0 +1,91 @@
+const { parseList } = require('./broadcast');
+
+// everyone: every participant of the group; admins: only its admins
+const MENTION_MODES = ['everyone', 'admins'];
+
+// Where a message with no @everyone or @admins placeholder gets its mentions
+const MENTION_SEPARATOR = '\n\n';
+
+// "+1 555 123 4567", "15551234567" or "15551234567@c.us" become "15551234567@c.us";
+// ids of other kinds (e.g. "...@lid") are kept as they are. Returns null when invalid.
+const normalizeParticipantId = (value) => {
+    const text = String(value).trim();
+    if (/^\d+@(c\.us|lid)$/.test(text)) {
+        return text;
+    }
+
+    const digits = text.replace(/[\s()+-]/g, '');
+    return /^\d{5,20}$/.test(digits) ? `${digits}@c.us` : null;
+};
+
+// Parse the mentions field of a send, schedule or broadcast request: "everyone",
+// "admins" (with or without the @) or participant ids as a list, JSON array or
+// comma-separated string. Returns { error } or { mentions }, where mentions is null,
+// { mode: 'everyone' | 'admins' } or { mode: 'ids', ids }.
+const parseMentions = (value) => {
+    const items = parseList(value);
+    if (items.length === 0) {
+        return { mentions: null };
+    }
+
+    const mode = items[0].replace(/^@/, '').toLowerCase();
+    if (items.length === 1 && MENTION_MODES.includes(mode)) {
+        return { mentions: { mode } };
+    }
+
+    const ids = [];
+    for (const item of items) {
+        const id = normalizeParticipantId(item);
+        if (!id) {
+            return { error: `Invalid participant "${item}" in mentions. Use a phone number, a participant id like 15551234567@c.us, "everyone" or "admins".` };
+        }
+        ids.push(id);
+    }
+    return { mentions: { mode: 'ids', ids: [...new Set(ids)] } };
+};
+
+// The participant ids a message mentions in a group. The sending account is never
+// mentioned by everyone or admins, and explicit ids that are not in the group are skipped.
+const resolveMentions = (mentions, group, { selfId = null } = {}) => {
+    const participants = group.participants || [];
+
+    if (mentions.mode === 'ids') {
+        const members = new Set(participants.map(participant => participant.id._serialized));
+        const missing = mentions.ids.filter(id => !members.has(id));
+        if (missing.length > 0) {
+            console.log(`⚠️ Not mentioning ${missing.join(', ')}: not in "${group.name}"`);
+        }
+        return mentions.ids.filter(id => members.has(id));
+    }
+
+    return participants
+        .filter(participant => mentions.mode === 'everyone' || participant.isAdmin || participant.isSuperAdmin)
+        .map(participant => participant.id._serialized)
+        .filter(id => id !== selfId);
+};
+
+// Add the @number tags WhatsApp needs in the text for each mentioned id. An @everyone
+// or @admins placeholder in the text is replaced by the tags; otherwise tags missing
+// from the text are added at the end. Returns { text, ids } for sendMessage's mentions option.
+const applyMentions = (text, mentions, group, { selfId = null } = {}) => {
+    const message = text || '';
+    if (!mentions) {
+        return { text: message, ids: [] };
+    }
+
+    const ids = resolveMentions(mentions, group, { selfId });
+    const tags = ids.map(id => `@${id.split('@')[0]}`);
+    const placeholder = mentions.mode === 'ids' ? null : new RegExp(`@${mentions.mode}\\b`, 'gi');
+
+    if (placeholder && placeholder.test(message)) {
+        return { text: message.replace(placeholder, tags.join(' ')), ids };
+    }
+
+    const missingTags = tags.filter(tag => !new RegExp(`${tag}(?!\\d)`).test(message));
+    if (missingTags.length === 0) {
+        return { text: message, ids };
+    }
+    return { text: message.trim() ? `${message}${MENTION_SEPARATOR}${missingTags.join(' ')}` : missingTags.join(' '), ids };
+};
+
+module.exports = { MENTION_MODES, parseMentions, resolveMentions, applyMentions };
@@ -0,0 +1,104 @@
+const { readDeliveries } = require('./delivery-log');
+const { readJsonFile } = require('./json-store');
+
+const POLICIES_FILE = './policies.json';
+
+// A policy applies to the groups it lists by id or name, or whose names match
+// its namePattern (a case-insensitive regex; "*" matches every group).
+// The first policy that matches a group is the one enforced there, so specific
+// policies belong above general ones. Groups no policy matches have no limits.
+//
+// {
+//   "name": "announcements",
+//   "groupIds": ["1234@g.us"],
+//   "groupNames": ["Announcements"],
+//   "namePattern": "^Team ",
+//   "allowedSenders": ["ops"],          API key names that may send now (omit for any key)
+//   "allowedSchedulers": ["ops"],       API key names that may schedule (omit for any key);
+//                                       the !schedule chat command counts as "chat:<sender id>"
+//   "maxMessagesPerDay": 10,
+//   "allowImages": true,
+//   "allowedAttachmentTypes": ["image/jpeg", "image/png"]   "image/*" style wildcards work too
+// }
+
+const loadPolicies = () => readJsonFile(POLICIES_FILE);
+
+const policyMatches = (policy, group) => {
+    const groupId = group.id._serialized;
+    const name = group.name || '';
+
+    if ((policy.groupIds || []).includes(groupId) || (policy.groupNames || []).includes(name)) {
+        return true;
+    }
+    if (policy.namePattern === '*') {
+        return true;
+    }
+    if (policy.namePattern) {
+        try {
+            return new RegExp(policy.namePattern, 'i').test(name);
+        } catch (error) {
+            console.error(`❌ Invalid namePattern in policy "${policy.name}":`, error.message);
+        }
+    }
+    return false;
+};
+
+// The policy enforced for a group, or null when it has none
+const getGroupPolicy = (group, policies = loadPolicies()) => policies.find(policy => policyMatches(policy, group)) || null;
+
+const isTypeAllowed = (mimetype, allowedTypes) => allowedTypes.some(type => (type.endsWith('/*')
+    ? mimetype.startsWith(type.slice(0, -1))
+    : mimetype === type));
+
+// Messages delivered since local midnight, counted per group id
+const getSentTodayCounts = () => {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    return readDeliveries()
+        .filter(entry => entry.status === 'sent' && entry.groupId && new Date(entry.at) >= startOfDay)
+        .reduce((counts, entry) => counts.set(entry.groupId, (counts.get(entry.groupId) || 0) + 1), new Map());
+};
+
+const countSentToday = (groupId) => getSentTodayCounts().get(groupId) || 0;
+
+// Check whether an API key may send (action 'send') or schedule (action
+// 'schedule') a message with the given attachments to a group. Attachments
+// are { mimetype } objects such as multer files. checkDailyLimit is off when
+// scheduling, since the limit applies when the message actually goes out.
+// Returns { allowed: true, policy } or { allowed: false, policy, reason }.
+const checkPolicy = ({ group, apiKey, action, attachments = [], checkDailyLimit = action === 'send' }) => {
+    const policy = getGroupPolicy(group);
+    if (!policy) {
+        return { allowed: true, policy: null };
+    }
+
+    const deny = (reason) => ({ allowed: false, policy: policy.name, reason: `${reason} (policy "${policy.name}")` });
+    const allowedKeys = action === 'schedule' ? policy.allowedSchedulers : policy.allowedSenders;
+
+    if (allowedKeys && !allowedKeys.includes(apiKey)) {
+        return deny(`API key "${apiKey || 'unknown'}" may not ${action} messages to "${group.name}"`);
+    }
+
+    if (attachments.length > 0 && policy.allowImages === false) {
+        return deny(`Attachments are not allowed in "${group.name}"`);
+    }
+
+    if (policy.allowedAttachmentTypes) {
+        const rejected = attachments.find(file => !isTypeAllowed(file.mimetype || '', policy.allowedAttachmentTypes));
+        if (rejected) {
+            return deny(`Attachment type "${rejected.mimetype}" is not allowed in "${group.name}"; allowed: ${policy.allowedAttachmentTypes.join(', ')}`);
+        }
+    }
+
+    if (checkDailyLimit && policy.maxMessagesPerDay !== undefined) {
+        const sentToday = countSentToday(group.id._serialized);
+        if (sentToday >= policy.maxMessagesPerDay) {
+            return deny(`Daily limit of ${policy.maxMessagesPerDay} message(s) reached for "${group.name}"`);
+        }
+    }
+
+    return { allowed: true, policy: policy.name };
+};
+
+module.exports = { loadPolicies, getGroupPolicy, checkPolicy, countSentToday, getSentTodayCounts };
@@ -0,0 +1,223 @@
+// node-cron does not export its expression parser; previews use it so they expand
+// names, ranges and steps exactly as the scheduler does. It is internal to node-cron,
+// which is why package.json pins node-cron to an exact version: check this path
+// still exists before upgrading.
+const convertExpression = require('node-cron/src/convert-expression');
+
+// Matches an explicit UTC designator or offset at the end of an ISO timestamp
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+// Check that a time zone is a known IANA name such as "Europe/London"
+const isValidTimezone = (timezone) => {
+    if (typeof timezone !== 'string' || !timezone) {
+        return false;
+    }
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// How far ahead run previews look before giving up on an expression
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+// Formatters are expensive to build, so keep one per time zone
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timezone);
+};
+
+// Wall-clock parts of an instant in a time zone, or in the server's zone when none is given
+const getZonedParts = (date, timezone) => {
+    if (!timezone) {
+        return {
+            year: date.getFullYear(),
+            month: date.getMonth() + 1,
+            day: date.getDate(),
+            hour: date.getHours(),
+            minute: date.getMinutes(),
+            second: date.getSeconds()
+        };
+    }
+
+    const parts = getFormatter(timezone).formatToParts(date);
+    const value = (type) => Number(parts.find(part => part.type === type).value);
+
+    return {
+        year: value('year'),
+        month: value('month'),
+        day: value('day'),
+        hour: value('hour'),
+        minute: value('minute'),
+        second: value('second')
+    };
+};
+
+// Whether an instant shows the given wall-clock time in a time zone. It does not
+// when that time was skipped by a DST change.
+const isExistingTime = (date, { year, month, day, hour = 0, minute = 0, second = 0 }, timezone) => {
+    const parts = getZonedParts(date, timezone);
+    return parts.year === year && parts.month === month && parts.day === day
+        && parts.hour === hour && parts.minute === minute && parts.second === second;
+};
+
+// Offset of a time zone from UTC (in ms) at the given instant
+const getTimezoneOffset = (date, timezone) => {
+    const { year, month, day, hour, minute, second } = getZonedParts(date, timezone);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Convert a wall-clock time in a time zone (or the server's zone) to an instant.
+// A time skipped by a DST change (02:30 when clocks jump from 02:00 to 03:00) is
+// moved forward by the length of the jump, as the server's own zone does.
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone) => {
+    if (!timezone) {
+        return new Date(year, month - 1, day, hour, minute, second);
+    }
+
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    // Second pass corrects for a DST change between the guess and the real instant
+    const firstOffset = getTimezoneOffset(new Date(wallClock), timezone);
+    const secondOffset = getTimezoneOffset(new Date(wallClock - firstOffset), timezone);
+    const instant = new Date(wallClock - secondOffset);
+
+    // Inside a skipped hour neither offset gives back the wall-clock time; the
+    // offset from before the jump (the smaller one) lands just after it
+    if (!isExistingTime(instant, { year, month, day, hour, minute, second }, timezone)) {
+        return new Date(wallClock - Math.min(firstOffset, secondOffset));
+    }
+    return instant;
+};
+
+// Parse a sendAt timestamp. Timestamps without an offset are read as wall-clock
+// time in the given time zone, or in the server's zone when none is given.
+// Returns null when the timestamp cannot be parsed.
+const parseSendAt = (sendAt, timezone) => {
+    if (typeof sendAt !== 'string' || !sendAt.trim()) {
+        return null;
+    }
+
+    const value = sendAt.trim();
+
+    if (!timezone || OFFSET_PATTERN.test(value)) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    // Read the wall-clock time as if it were UTC, then place it in the zone
+    const wallClock = new Date(`${value.includes('T') ? value : `${value}T00:00:00`}Z`);
+    if (isNaN(wallClock.getTime())) {
+        return null;
+    }
+
+    return zonedTimeToUtc({
+        year: wallClock.getUTCFullYear(),
+        month: wallClock.getUTCMonth() + 1,
+        day: wallClock.getUTCDate(),
+        hour: wallClock.getUTCHours(),
+        minute: wallClock.getUTCMinutes(),
+        second: wallClock.getUTCSeconds()
+    }, timezone);
+};
+
+// The later instant of a wall-clock time that happens twice because clocks went
+// back (01:30 when they fall from 02:00 to 01:00), or null when it happens once
+const getRepeatedInstant = (date, wallClock, timezone) => {
+    const nextDay = new Date(date.getTime() + 24 * 60 * 60 * 1000);
+    const fallBack = getTimezoneOffset(date, timezone) - getTimezoneOffset(nextDay, timezone);
+    if (fallBack <= 0) {
+        return null;
+    }
+
+    const repeated = new Date(date.getTime() + fallBack);
+    return isExistingTime(repeated, wallClock, timezone) ? repeated : null;
+};
+
+// List the next times a cron expression fires after a given instant, evaluated
+// the same way node-cron does (day of month and weekday must both match).
+// Stops at `count` runs, at `until`, or after MAX_LOOKAHEAD_DAYS.
+const getCronRuns = (expression, { timezone = null, after = new Date(), until = null, count = 5 } = {}) => {
+    const [seconds, minutes, hours, days, months, weekDays] = convertExpression(expression)
+        .split(' ')
+        .map(field => field.split(',').map(Number).sort((a, b) => a - b));
+    // node-cron accepts 7 as an alias for Sunday
+    const weekDayNumbers = weekDays.map(weekDay => weekDay % 7);
+
+    const start = getZonedParts(after, timezone);
+    const runs = [];
+
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+        const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + 1;
+        const day = date.getUTCDate();
+
+        if (!months.includes(month) || !days.includes(day) || !weekDayNumbers.includes(date.getUTCDay())) {
+            continue;
+        }
+
+        // Runs of the first day already behind us are dropped below, once the day's
+        // runs are in order; a repeated time can come after a later wall-clock time
+        const dayRuns = [];
+        for (const hour of hours) {
+            for (const minute of minutes) {
+                for (const second of seconds) {
+                    const wallClock = { year, month, day, hour, minute, second };
+                    const run = zonedTimeToUtc(wallClock, timezone);
+
+                    // node-cron never fires at a time skipped by a DST change
+                    if (!isExistingTime(run, wallClock, timezone)) {
+                        continue;
+                    }
+                    dayRuns.push(run);
+
+                    // When clocks go back, node-cron fires at both instants of a repeated
+                    // time in the server's zone, but only at the first in a task's time zone
+                    const repeated = timezone ? null : getRepeatedInstant(run, wallClock, null);
+                    if (repeated) {
+                        dayRuns.push(repeated);
+                    }
+                }
+            }
+        }
+
+        for (const run of dayRuns.sort((a, b) => a - b)) {
+            if (run <= after) {
+                continue;
+            }
+            if ((until && run > until) || runs.length >= count) {
+                return runs;
+            }
+            runs.push(run);
+        }
+    }
+
+    return runs;
+};
+
+module.exports = {
+    isValidTimezone,
+    getZonedParts,
+    getTimezoneOffset,
+    zonedTimeToUtc,
+    parseSendAt,
+    getCronRuns
+};
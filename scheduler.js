@@ -0,0 +1,779 @@
+const cron = require('node-cron');
+const { isValidTimezone, parseSendAt, getCronRuns } = require('./schedule-time');
+const { DEFAULT_SESSION_ID } = require('./session-manager');
+const { pickVariant } = require('./variants');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const SCHEDULE_FILE = './schedule.json';
+
+// Fields that can be changed on an existing task without recreating it
+const EDITABLE_FIELDS = [
+    'groupId', 'groupName', 'message', 'cron', 'sendAt', 'timezone', 'description',
+    'startDate', 'endDate', 'maxOccurrences', 'catchUp', 'maxLatenessMinutes', 'target', 'label',
+    'templateId', 'variables', 'variantMode', 'mentions'
+];
+
+// Fields that decide when a task fires; changing one rebuilds its job
+const TIMING_FIELDS = ['cron', 'sendAt', 'timezone'];
+
+// What to do with runs that were missed while the process or session was down
+const CATCH_UP_POLICIES = ['skip', 'send-once-late', 'send-all'];
+
+// Missed runs older than this are never sent late unless a task says otherwise
+const DEFAULT_MAX_LATENESS_MINUTES = 60;
+
+// Upper bound on missed runs looked at per task, and on history entries kept per task
+const MAX_MISSED_RUNS = 100;
+const MAX_HISTORY_ENTRIES = 50;
+
+// Most upcoming runs a preview may ask for
+const MAX_PREVIEW_RUNS = 50;
+
+// Longest delay setTimeout supports; longer waits are re-armed in steps
+const MAX_TIMEOUT = 2147483647;
+
+// Statuses of tasks that will never fire again
+const FINISHED_STATUSES = ['completed', 'expired'];
+
+// The WhatsApp session a task sends from; tasks from before sessions existed use the default one
+const getTaskSession = (task) => task.sessionId || DEFAULT_SESSION_ID;
+
+// Whether a task can be sent by the single-session runners (server.js and index.js):
+// broadcasts and other sessions' tasks need the API server
+const isSingleSessionTask = (task) => task.type !== 'broadcast' && getTaskSession(task) === DEFAULT_SESSION_ID;
+
+const loadScheduleData = () => readJsonFile(SCHEDULE_FILE);
+const saveScheduleData = (data) => writeJsonFile(SCHEDULE_FILE, data);
+
+// Parse the cronTime / sendAt / timezone of a request body. Only fields present
+// in the body are returned; a sendAt without an offset is read in the body's
+// timezone, falling back to currentTimezone (the task's zone when editing).
+// Returns { error } on bad input, otherwise { timing }.
+const parseTaskTiming = (body, currentTimezone = null) => {
+    const { cronTime, sendAt, timezone } = body || {};
+    const timing = {};
+
+    if (cronTime && sendAt) {
+        return { error: 'Provide either cronTime or sendAt, not both' };
+    }
+
+    if (timezone !== undefined) {
+        if (timezone === null || timezone === '') {
+            timing.timezone = null;
+        } else if (!isValidTimezone(timezone)) {
+            return { error: `Invalid timezone "${timezone}". Use an IANA name such as "Europe/London"` };
+        } else {
+            timing.timezone = timezone;
+        }
+    }
+
+    if (cronTime !== undefined) {
+        if (!cron.validate(cronTime)) {
+            return { error: 'Invalid cron expression' };
+        }
+        timing.cron = cronTime;
+        timing.sendAt = null;
+    }
+
+    if (sendAt !== undefined) {
+        const sendAtTime = parseSendAt(sendAt, timing.timezone !== undefined ? timing.timezone : currentTimezone);
+        if (!sendAtTime) {
+            return { error: 'Invalid sendAt format. Use ISO string format (e.g., "2024-12-31T09:00:00.000Z")' };
+        }
+        if (sendAtTime <= new Date()) {
+            return { error: 'sendAt must be in the future' };
+        }
+        timing.sendAt = sendAtTime.toISOString();
+        timing.cron = null;
+    }
+
+    return { timing };
+};
+
+// Parse the optional startDate / endDate / maxOccurrences of a request body.
+// Only fields present in the body are returned; null or '' clears a field.
+// Returns { error } on bad input, otherwise { limits }.
+const parseTaskLimits = (body) => {
+    const { startDate, endDate, maxOccurrences } = body || {};
+    const limits = {};
+
+    if (startDate !== undefined) {
+        if (startDate === null || startDate === '') {
+            limits.startDate = null;
+        } else {
+            const startDateTime = new Date(startDate);
+            if (isNaN(startDateTime.getTime())) {
+                return { error: 'Invalid startDate format. Use ISO string format (e.g., "2024-12-01T09:00:00.000Z")' };
+            }
+            limits.startDate = startDateTime.toISOString();
+        }
+    }
+
+    if (endDate !== undefined) {
+        if (endDate === null || endDate === '') {
+            limits.endDate = null;
+        } else {
+            const endDateTime = new Date(endDate);
+            if (isNaN(endDateTime.getTime())) {
+                return { error: 'Invalid endDate format. Use ISO string format (e.g., "2024-12-31T23:59:59.000Z")' };
+            }
+            if (endDateTime <= new Date()) {
+                return { error: 'endDate must be in the future' };
+            }
+            limits.endDate = endDateTime.toISOString();
+        }
+    }
+
+    if (limits.startDate && limits.endDate && new Date(limits.startDate) >= new Date(limits.endDate)) {
+        return { error: 'startDate must be before endDate' };
+    }
+
+    if (maxOccurrences !== undefined) {
+        if (maxOccurrences === null || maxOccurrences === '') {
+            limits.maxOccurrences = null;
+        } else {
+            const max = Number(maxOccurrences);
+            if (!Number.isInteger(max) || max <= 0) {
+                return { error: 'maxOccurrences must be a positive number' };
+            }
+            limits.maxOccurrences = max;
+        }
+    }
+
+    return { limits };
+};
+
+// Parse the optional catchUp policy and maxLatenessMinutes of a request body.
+// Returns { error } on bad input, otherwise { catchUp } with only the fields present.
+const parseCatchUp = (body) => {
+    const { catchUp, maxLatenessMinutes } = body || {};
+    const result = {};
+
+    if (catchUp !== undefined) {
+        if (!CATCH_UP_POLICIES.includes(catchUp)) {
+            return { error: `catchUp must be one of: ${CATCH_UP_POLICIES.join(', ')}` };
+        }
+        result.catchUp = catchUp;
+    }
+
+    if (maxLatenessMinutes !== undefined) {
+        if (maxLatenessMinutes === null || maxLatenessMinutes === '') {
+            result.maxLatenessMinutes = null;
+        } else {
+            const minutes = Number(maxLatenessMinutes);
+            if (!Number.isFinite(minutes) || minutes <= 0) {
+                return { error: 'maxLatenessMinutes must be a positive number' };
+            }
+            result.maxLatenessMinutes = minutes;
+        }
+    }
+
+    return { catchUp: result };
+};
+
+// Validate the timing, limits and missed-run policy shared by every new schedule.
+// Returns { error } on bad input, otherwise { timing, limits, catchUp }.
+const parseScheduleOptions = (body) => {
+    const { cronTime, sendAt } = body || {};
+
+    if (!cronTime && !sendAt) {
+        return { error: 'Either cronTime or sendAt is required' };
+    }
+
+    const { error: timingError, timing } = parseTaskTiming(body);
+    if (timingError) {
+        return { error: timingError };
+    }
+
+    const { error: limitsError, limits } = parseTaskLimits(body);
+    if (limitsError) {
+        return { error: limitsError };
+    }
+
+    const { error: catchUpError, catchUp } = parseCatchUp(body);
+    if (catchUpError) {
+        return { error: catchUpError };
+    }
+
+    return { timing, limits, catchUp };
+};
+
+// Parse the ?count= of a run preview. Returns { error } or { count }.
+const parseRunCount = (value) => {
+    if (value === undefined || value === '') {
+        return { count: 5 };
+    }
+
+    const count = Number(value);
+    if (!Number.isInteger(count) || count <= 0 || count > MAX_PREVIEW_RUNS) {
+        return { error: `count must be a whole number between 1 and ${MAX_PREVIEW_RUNS}` };
+    }
+    return { count };
+};
+
+// Validate a PATCH body against the stored task and map it onto task fields.
+// allowEmpty is for callers that change other fields (e.g. a broadcast target) themselves.
+// Returns { error } on bad input, otherwise { changes }.
+const validateTaskChanges = (body, task = {}, { allowEmpty = false } = {}) => {
+    const { groupId, groupName, message, description } = body || {};
+    const changes = {};
+
+    if (groupId !== undefined) {
+        if (typeof groupId !== 'string' || !groupId.trim()) {
+            return { error: 'groupId must be a non-empty string' };
+        }
+        changes.groupId = groupId;
+    }
+
+    if (groupName !== undefined) {
+        if (typeof groupName !== 'string' || !groupName.trim()) {
+            return { error: 'groupName must be a non-empty string' };
+        }
+        changes.groupName = groupName;
+    }
+
+    if (message !== undefined) {
+        if (typeof message !== 'string' || !message.trim()) {
+            return { error: 'message must be a non-empty string' };
+        }
+        changes.message = message;
+    }
+
+    if (description !== undefined) {
+        changes.description = description || '';
+    }
+
+    const { error: timingError, timing } = parseTaskTiming(body, task.timezone || null);
+    if (timingError) {
+        return { error: timingError };
+    }
+    Object.assign(changes, timing);
+
+    const { error: limitsError, limits } = parseTaskLimits(body);
+    if (limitsError) {
+        return { error: limitsError };
+    }
+    Object.assign(changes, limits);
+
+    const { error: catchUpError, catchUp } = parseCatchUp(body);
+    if (catchUpError) {
+        return { error: catchUpError };
+    }
+    Object.assign(changes, catchUp);
+
+    if (Object.keys(changes).length === 0 && !allowEmpty) {
+        return { error: 'Provide at least one of: groupId, groupName, message, cronTime, sendAt, timezone, description, startDate, endDate, maxOccurrences, catchUp, maxLatenessMinutes' };
+    }
+
+    return { changes };
+};
+
+// How a task's destination appears in logs
+const getTaskLabel = (task) => (task.groupName ? `"${task.groupName}"` : `broadcast to ${task.label || 'multiple groups'}`);
+
+const isFinished = (task) => FINISHED_STATUSES.includes(task.status);
+
+// One-off tasks carry a sendAt timestamp instead of a cron expression
+const isOneOff = (task) => Boolean(task.sendAt);
+
+// Work out why a task should stop firing, if it should
+const getFinishReason = (task, now = new Date()) => {
+    const maxOccurrences = isOneOff(task) ? 1 : task.maxOccurrences;
+
+    if (task.endDate && now > new Date(task.endDate)) {
+        return 'expired';
+    }
+    if (maxOccurrences && (task.currentOccurrences || 0) >= maxOccurrences) {
+        return 'completed';
+    }
+    return null;
+};
+
+// List the upcoming send times of an active task (or an unsaved spec with the
+// same fields), honouring its start date, end date and remaining occurrences
+const getNextRuns = (task, count = 5, now = new Date()) => {
+    if ((task.status || 'active') !== 'active') {
+        return [];
+    }
+
+    const maxOccurrences = isOneOff(task) ? 1 : task.maxOccurrences;
+    const remaining = maxOccurrences
+        ? Math.max(maxOccurrences - (task.currentOccurrences || 0), 0)
+        : count;
+    const limit = Math.min(count, remaining);
+    const until = task.endDate ? new Date(task.endDate) : null;
+
+    if (limit === 0) {
+        return [];
+    }
+
+    if (isOneOff(task)) {
+        const sendAt = new Date(task.sendAt);
+        return sendAt > now && (!until || sendAt <= until) ? [sendAt] : [];
+    }
+
+    const startDate = task.startDate ? new Date(task.startDate) : null;
+    // Runs landing exactly on the start date still count
+    const after = startDate && startDate > now ? new Date(startDate.getTime() - 1) : now;
+
+    return getCronRuns(task.cron, { timezone: task.timezone || null, after, until, count: limit });
+};
+
+// List the runs of an active task that should have fired since it last ran.
+// Runs that fell while the task was paused were skipped on purpose, so counting
+// starts again when it was last resumed.
+const getMissedRuns = (task, now = new Date()) => {
+    if ((task.status || 'active') !== 'active') {
+        return [];
+    }
+
+    const resumedAt = task.resumedAt ? new Date(task.resumedAt) : null;
+
+    if (isOneOff(task)) {
+        const sendAt = new Date(task.sendAt);
+        const pausedThrough = resumedAt && sendAt <= resumedAt;
+        return !task.currentOccurrences && sendAt <= now && !pausedThrough ? [sendAt] : [];
+    }
+
+    // Legacy tasks without timestamps have nothing to catch up on
+    const lastRun = task.lastRunAt || task.createdAt;
+    const since = resumedAt && (!lastRun || resumedAt > new Date(lastRun)) ? task.resumedAt : lastRun;
+    if (!since) {
+        return [];
+    }
+
+    const startDate = task.startDate ? new Date(task.startDate) : null;
+    const after = startDate && startDate > new Date(since) ? new Date(startDate.getTime() - 1) : new Date(since);
+    const until = task.endDate && new Date(task.endDate) < now ? new Date(task.endDate) : now;
+    const remaining = task.maxOccurrences
+        ? Math.max(task.maxOccurrences - (task.currentOccurrences || 0), 0)
+        : MAX_MISSED_RUNS;
+
+    if (after >= until || remaining === 0) {
+        return [];
+    }
+
+    return getCronRuns(task.cron, { timezone: task.timezone || null, after, until, count: Math.min(remaining, MAX_MISSED_RUNS) });
+};
+
+// Pick which missed runs a task's catch-up policy sends late
+const selectCatchUpRuns = (task, missedRuns, now = new Date()) => {
+    const policy = task.catchUp || 'skip';
+    const maxLatenessMinutes = task.maxLatenessMinutes || DEFAULT_MAX_LATENESS_MINUTES;
+    const windowStart = now.getTime() - maxLatenessMinutes * 60 * 1000;
+    const eligible = missedRuns.filter(run => run.getTime() >= windowStart);
+
+    if (policy === 'send-all') {
+        return eligible;
+    }
+    if (policy === 'send-once-late') {
+        return eligible.slice(-1);
+    }
+    return [];
+};
+
+// A one-off timer with the same stop() handle as a node-cron task
+const scheduleOnce = (date, func) => {
+    let timeout = null;
+
+    const arm = () => {
+        const delay = date.getTime() - Date.now();
+        timeout = delay > MAX_TIMEOUT
+            ? setTimeout(arm, MAX_TIMEOUT)
+            : setTimeout(func, Math.max(delay, 0));
+    };
+    arm();
+
+    return { stop: () => clearTimeout(timeout) };
+};
+
+// Create a scheduler that keeps one live cron job per stored task.
+// runTask(task, { scheduledFor, late, variant }) is called on every tick with the latest stored
+// version of the task (and the variant to send, for tasks with variants) and resolves to
+// true when the message went out. onFinish(task) is called once a task is archived as
+// completed or expired. canRun(task) picks the stored tasks this process sends; the
+// others are never started, caught up or archived here, so another process sharing
+// the schedule file can run them.
+const createScheduler = ({ runTask, onFinish = () => {}, canRun = () => true }) => {
+    // Live ScheduledTask handles keyed by task id
+    const jobs = new Map();
+    // Sessions whose tasks do not run while they are down; rehydrate() starts them again
+    const suspendedSessions = new Set();
+
+    const getTask = (id) => loadScheduleData().find(task => task.id === id) || null;
+
+    const listTasks = () => loadScheduleData().map(task => ({ ...task, status: task.status || 'active' }));
+
+    const isRunning = (id) => jobs.has(id);
+
+    const stopJob = (id) => {
+        const job = jobs.get(id);
+        if (job) {
+            job.stop();
+            jobs.delete(id);
+        }
+    };
+
+    // Archive a task that will not fire again instead of deleting it
+    const finishTask = (id, status) => {
+        stopJob(id);
+
+        const task = saveTask(id, { status, finishedAt: new Date().toISOString() });
+        if (task) {
+            console.log(`🏁 Scheduled task ${id} for ${getTaskLabel(task)} ${status === 'expired' ? 'expired' : `completed after ${task.currentOccurrences} occurrence(s)`}`);
+            onFinish(task);
+        }
+        return task;
+    };
+
+    // Add an entry to a task's history, keeping only the most recent ones
+    const addHistory = (id, entry) => {
+        const task = getTask(id);
+        if (!task) {
+            return null;
+        }
+
+        const history = [...(task.history || []), { at: new Date().toISOString(), ...entry }];
+        return saveTask(id, { history: history.slice(-MAX_HISTORY_ENTRIES) });
+    };
+
+    // Send one occurrence and record it; resolves to true when the message went out
+    const deliverOccurrence = async (task, context) => {
+        try {
+            // The rotation only moves on once a variant was actually sent
+            const picked = task.variants && task.variants.length > 0 ? pickVariant(task) : null;
+            const sent = await runTask(task, { ...context, variant: picked ? picked.variant : null });
+            if (!sent) {
+                return false;
+            }
+
+            const now = new Date().toISOString();
+            const updatedTask = saveTask(task.id, {
+                currentOccurrences: (task.currentOccurrences || 0) + 1,
+                lastSentAt: now,
+                lastRunAt: now,
+                ...(picked ? picked.changes : {})
+            });
+
+            if (updatedTask && getFinishReason(updatedTask) === 'completed') {
+                finishTask(task.id, 'completed');
+            }
+            return true;
+        } catch (error) {
+            console.error(`Error running scheduled task ${task.id}:`, error.message);
+            return false;
+        }
+    };
+
+    // Run one tick of a task, applying its start date, end date and occurrence cap
+    const runOccurrence = async (id) => {
+        const task = getTask(id);
+
+        if (!task) {
+            console.log(`⚠️ Scheduled task ${id} not found, stopping execution`);
+            stopJob(id);
+            return;
+        }
+
+        if (!isOneOff(task) && task.startDate && new Date() < new Date(task.startDate)) {
+            return;
+        }
+
+        const finishReason = getFinishReason(task);
+        if (finishReason) {
+            finishTask(id, finishReason);
+            return;
+        }
+
+        const sent = await deliverOccurrence(task, { scheduledFor: new Date(), late: false });
+
+        // A one-off that is not caught up later only gets one chance to fire
+        if (!sent && isOneOff(task) && (task.catchUp || 'skip') === 'skip') {
+            finishTask(id, 'expired');
+        }
+    };
+
+    // Apply a task's catch-up policy to the runs it missed while we were down
+    const catchUpTask = async (id) => {
+        const task = getTask(id);
+        if (!task) {
+            return;
+        }
+
+        const now = new Date();
+        const missedRuns = getMissedRuns(task, now);
+        if (missedRuns.length === 0) {
+            return;
+        }
+
+        const policy = task.catchUp || 'skip';
+        const lateRuns = selectCatchUpRuns(task, missedRuns, now);
+        let sentLate = 0;
+
+        for (const run of lateRuns) {
+            const currentTask = getTask(id);
+            if (!currentTask || currentTask.status !== 'active') {
+                break;
+            }
+
+            console.log(`⏪ Sending missed run of ${run.toISOString()} for ${getTaskLabel(currentTask)} late (${policy})`);
+            if (await deliverOccurrence(currentTask, { scheduledFor: run, late: true })) {
+                sentLate += 1;
+            }
+        }
+
+        addHistory(id, {
+            type: 'catch-up',
+            policy,
+            missedRuns: missedRuns.length,
+            firstMissedAt: missedRuns[0].toISOString(),
+            lastMissedAt: missedRuns[missedRuns.length - 1].toISOString(),
+            sentLate,
+            skipped: missedRuns.length - lateRuns.length,
+            failed: lateRuns.length - sentLate
+        });
+
+        console.log(`⏪ Task ${id} missed ${missedRuns.length} run(s): ${sentLate} sent late, ${missedRuns.length - sentLate} dropped (${policy})`);
+
+        const updatedTask = getTask(id);
+        if (updatedTask && updatedTask.status === 'active') {
+            if (isOneOff(updatedTask)) {
+                // Nothing is left to fire a one-off that was not sent late
+                finishTask(id, 'expired');
+            } else {
+                saveTask(id, { lastRunAt: now.toISOString() });
+            }
+        }
+    };
+
+    // Look for missed runs on every active task, e.g. on startup or after a reconnect.
+    // With a sessionId only that session's tasks are looked at.
+    const catchUpMissedRuns = async (sessionId = null) => {
+        for (const task of loadScheduleData()) {
+            if (task.id && (task.status || 'active') === 'active' && canRun(task) && (!sessionId || getTaskSession(task) === sessionId)) {
+                await catchUpTask(task.id);
+            }
+        }
+    };
+
+    const startJob = (task) => {
+        stopJob(task.id);
+
+        // Picked up by rehydrate() when the session is back
+        if (!canRun(task) || suspendedSessions.has(getTaskSession(task))) {
+            return;
+        }
+
+        const job = isOneOff(task)
+            ? scheduleOnce(new Date(task.sendAt), () => runOccurrence(task.id))
+            : cron.schedule(task.cron, () => runOccurrence(task.id), { timezone: task.timezone || undefined });
+
+        jobs.set(task.id, job);
+    };
+
+    // Write changes to a stored task and return the updated task
+    const saveTask = (id, changes) => {
+        const scheduleData = loadScheduleData();
+        const task = scheduleData.find(task => task.id === id);
+
+        if (!task) {
+            return null;
+        }
+
+        Object.assign(task, changes);
+        saveScheduleData(scheduleData);
+        return task;
+    };
+
+    const addTask = (task) => {
+        const scheduleData = loadScheduleData();
+        const newTask = { status: 'active', ...task };
+
+        scheduleData.push(newTask);
+        saveScheduleData(scheduleData);
+
+        if (newTask.status === 'active') {
+            startJob(newTask);
+        }
+        return newTask;
+    };
+
+    // Change editable fields; the job is only rebuilt when its timing changes
+    const updateTask = (id, changes) => {
+        const existing = getTask(id);
+        if (!existing) {
+            return null;
+        }
+
+        const allowed = {};
+        for (const field of EDITABLE_FIELDS) {
+            if (changes[field] !== undefined) {
+                allowed[field] = changes[field];
+            }
+        }
+        allowed.updatedAt = new Date().toISOString();
+
+        const task = saveTask(id, allowed);
+
+        const timingChanged = TIMING_FIELDS.some(field => task[field] !== existing[field]);
+        if ((task.status || 'active') === 'active' && (timingChanged || !isRunning(id))) {
+            startJob(task);
+        }
+        return task;
+    };
+
+    // Update the stored name of a group on every task that targets it; returns the number of tasks changed
+    const renameGroup = (groupId, groupName) => {
+        const scheduleData = loadScheduleData();
+        const tasks = scheduleData.filter(task => task.groupId === groupId && task.groupName !== groupName);
+
+        if (tasks.length > 0) {
+            tasks.forEach(task => {
+                task.groupName = groupName;
+            });
+            saveScheduleData(scheduleData);
+        }
+        return tasks.length;
+    };
+
+    const cancelTask = (id) => {
+        const scheduleData = loadScheduleData();
+        const task = scheduleData.find(task => task.id === id);
+
+        stopJob(id);
+
+        if (!task) {
+            return null;
+        }
+
+        saveScheduleData(scheduleData.filter(task => task.id !== id));
+        return task;
+    };
+
+    const pauseTask = (id) => {
+        const task = saveTask(id, { status: 'paused', updatedAt: new Date().toISOString() });
+        if (task) {
+            stopJob(id);
+        }
+        return task;
+    };
+
+    const resumeTask = (id) => {
+        const now = new Date().toISOString();
+        const task = saveTask(id, { status: 'active', updatedAt: now, resumedAt: now });
+        if (task) {
+            startJob(task);
+        }
+        return task;
+    };
+
+    // Stop the jobs of one session's tasks, e.g. while it is disconnected. Runs missed
+    // while suspended are handled by catchUpMissedRuns() once the session is back.
+    const suspend = (sessionId = DEFAULT_SESSION_ID) => {
+        suspendedSessions.add(sessionId);
+        loadScheduleData()
+            .filter(task => getTaskSession(task) === sessionId)
+            .forEach(task => stopJob(task.id));
+    };
+
+    const isSuspended = (sessionId = DEFAULT_SESSION_ID) => suspendedSessions.has(sessionId);
+
+    // Re-register every persisted task, e.g. after a restart. With a sessionId only
+    // that session's tasks are started, which also ends its suspension.
+    const rehydrate = (sessionId = null) => {
+        if (sessionId) {
+            suspendedSessions.delete(sessionId);
+        }
+        const scheduleData = loadScheduleData();
+        let changed = false;
+        let restored = 0;
+
+        scheduleData.forEach((task, index) => {
+            const hasTiming = task.cron ? cron.validate(task.cron) : Boolean(task.sendAt);
+            const hasMessage = Boolean(task.message) || [task.variants, task.media, task.imagePaths].some(list => list && list.length > 0);
+            if (!(task.groupName || task.target) || !hasMessage || !hasTiming) {
+                console.log(`⚠️ Skipping invalid scheduled task ${task.id || '(no id)'}`);
+                return;
+            }
+
+            // Older entries were written without an id, which makes them impossible to manage
+            if (!task.id) {
+                task.id = `${Date.now()}-${index}`;
+                changed = true;
+            }
+
+            if (!task.status) {
+                task.status = 'active';
+                changed = true;
+            }
+
+            if (!canRun(task)) {
+                return;
+            }
+
+            // Tasks whose end date passed while the server was down are archived right away
+            const finishReason = task.status === 'active' ? getFinishReason(task) : null;
+            if (finishReason) {
+                task.status = finishReason;
+                task.finishedAt = new Date().toISOString();
+                changed = true;
+                console.log(`🏁 Scheduled task ${task.id} for ${getTaskLabel(task)} ${finishReason} while the server was offline`);
+                onFinish(task);
+                return;
+            }
+
+            // One-offs whose time has passed are left to catchUpMissedRuns
+            const sendAtPassed = isOneOff(task) && new Date(task.sendAt) <= new Date();
+
+            const inSession = !sessionId || getTaskSession(task) === sessionId;
+
+            if (task.status === 'active' && inSession && !isRunning(task.id) && !sendAtPassed && !suspendedSessions.has(getTaskSession(task))) {
+                startJob(task);
+                restored += 1;
+            }
+        });
+
+        if (changed) {
+            saveScheduleData(scheduleData);
+        }
+
+        console.log(`📅 Restored ${restored} scheduled message(s)${sessionId ? ` for session "${sessionId}"` : ''} from ${SCHEDULE_FILE}`);
+    };
+
+    return {
+        getTask,
+        listTasks,
+        isRunning,
+        addTask,
+        saveTask,
+        updateTask,
+        renameGroup,
+        cancelTask,
+        pauseTask,
+        resumeTask,
+        finishTask,
+        addHistory,
+        catchUpMissedRuns,
+        suspend,
+        isSuspended,
+        rehydrate
+    };
+};
+
+module.exports = {
+    createScheduler,
+    parseTaskTiming,
+    parseTaskLimits,
+    parseCatchUp,
+    parseScheduleOptions,
+    parseRunCount,
+    validateTaskChanges,
+    isFinished,
+    isOneOff,
+    getTaskSession,
+    isSingleSessionTask,
+    getNextRuns,
+    getMissedRuns,
+    loadScheduleData,
+    saveScheduleData
+};
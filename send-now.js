@@ -1,5 +1,7 @@
 const qrcode = require("qrcode-terminal");
 const { Client, LocalAuth } = require("whatsapp-web.js");
+const { createGroupDirectory } = require("./group-directory");
+const { createSendQueue } = require("./send-queue");
 
 const GROUP_NAME = "TEST_WA_BOT"; // ✅ Replace with exact group name
 const MESSAGE = "This is message is from my computer";
@@ -12,6 +14,12 @@ const client = new Client({
     }
 });
 
+const groupDirectory = createGroupDirectory();
+groupDirectory.attach(client);
+
+// Sends are paced and retried like the server's
+const sendQueue = createSendQueue();
+
 client.on("qr", qr => {
     qrcode.generate(qr, { small: true });
     console.log("Scan the QR code above to log in.");
@@ -20,15 +28,7 @@ client.on("qr", qr => {
 client.on("ready", async () => {
     console.log("✅ Client is ready");
 
-    const chats = await client.getChats();
-    console.log(`📦 Found ${chats.length} chats`);
-
-    const group = chats.find(chat => {
-        if (chat.isGroup) {
-            console.log(`🧪 Checking group: "${chat.name}"`);
-        }
-        return chat.isGroup && chat.name === GROUP_NAME;
-    });
+    const [group] = await groupDirectory.findByName(GROUP_NAME);
 
     if (!group) {
         console.error(`❌ Group "${GROUP_NAME}" not found`);
@@ -36,7 +36,7 @@ client.on("ready", async () => {
     }
 
     console.log(`📨 Sending message to group: "${group.name}"`);
-    await group.sendMessage(MESSAGE);
+    await sendQueue.sendMessage(group, MESSAGE);
     console.log(`✅ Sent message: "${MESSAGE}"`);
 
     setTimeout(() => {
@@ -0,0 +1,216 @@
+// Errors that usually clear up on their own, so the send is worth retrying
+const RETRYABLE_ERRORS = [
+    'Protocol error',
+    'Session closed',
+    'Execution context was destroyed',
+    'Target closed',
+    'timed out',
+    'ETIMEDOUT',
+    'ECONNRESET'
+];
+
+// Failed jobs kept for inspection; older ones are dropped
+const MAX_DEAD_LETTERS = 100;
+
+const DEFAULT_OPTIONS = {
+    // Minimum gap between any two sends
+    globalIntervalMs: Number(process.env.SEND_QUEUE_GLOBAL_INTERVAL_MS) || 1000,
+    // Minimum gap between two sends to the same group
+    perGroupIntervalMs: Number(process.env.SEND_QUEUE_GROUP_INTERVAL_MS) || 3000,
+    // Random extra delay added to each gap so bursts do not look mechanical
+    jitterMs: Number(process.env.SEND_QUEUE_JITTER_MS) || 500,
+    maxAttempts: Number(process.env.SEND_QUEUE_MAX_ATTEMPTS) || 5,
+    baseBackoffMs: Number(process.env.SEND_QUEUE_BACKOFF_MS) || 2000,
+    maxBackoffMs: Number(process.env.SEND_QUEUE_MAX_BACKOFF_MS) || 60000
+};
+
+const isRetryableError = (error) => {
+    const message = (error && error.message) || '';
+    return RETRYABLE_ERRORS.some(pattern => message.includes(pattern));
+};
+
+// Public view of a job, without its callbacks
+const describeJob = (job) => ({
+    id: job.id,
+    groupKey: job.groupKey,
+    groupName: job.groupName,
+    kind: job.kind,
+    taskId: job.taskId,
+    status: job.status,
+    attempts: job.attempts,
+    lastError: job.lastError,
+    createdAt: new Date(job.createdAt).toISOString(),
+    nextAttemptAt: job.nextAttemptAt ? new Date(job.nextAttemptAt).toISOString() : null
+});
+
+// Create a queue that sends outbound messages one at a time, spaced out by the
+// global and per-group rate limits, retrying retryable errors with exponential
+// backoff and dead-lettering jobs that keep failing. onEvent(type, job) hears
+// about every change: job_enqueued, job_sent, job_retrying and job_dead_lettered.
+// getClient() returns the WhatsApp client to send through.
+const createSendQueue = (overrides = {}, { onEvent = () => {}, getClient = null } = {}) => {
+    const options = { ...DEFAULT_OPTIONS, ...overrides };
+    const pending = [];
+    const deadLetters = [];
+    const lastSentByGroup = new Map();
+    const stats = { sent: 0, retried: 0, deadLettered: 0 };
+    let active = null;
+    let paused = false;
+    let lastSentAt = 0;
+    let timer = null;
+    let nextJobId = 1;
+
+    const jitter = () => Math.round(Math.random() * options.jitterMs);
+
+    // Earliest time a job may go out under its backoff and the rate limits
+    const getReadyAt = (job) => Math.max(
+        job.nextAttemptAt || 0,
+        lastSentAt + options.globalIntervalMs + job.jitterMs,
+        (lastSentByGroup.get(job.groupKey) || 0) + options.perGroupIntervalMs + job.jitterMs
+    );
+
+    const schedulePump = (delay) => {
+        if (timer) {
+            clearTimeout(timer);
+        }
+        timer = setTimeout(() => {
+            timer = null;
+            pump();
+        }, Math.max(delay, 0));
+    };
+
+    const deadLetter = (job, error) => {
+        job.status = 'failed';
+        stats.deadLettered += 1;
+        deadLetters.push({ ...describeJob(job), failedAt: new Date().toISOString() });
+        if (deadLetters.length > MAX_DEAD_LETTERS) {
+            deadLetters.shift();
+        }
+
+        console.error(`☠️ Giving up on message to "${job.groupName}" after ${job.attempts} attempt(s):`, error.message);
+        onEvent('job_dead_lettered', describeJob(job));
+        job.reject(error);
+    };
+
+    const pump = async () => {
+        if (paused || active || pending.length === 0) {
+            return;
+        }
+
+        // Pick the job that may go out first; ties keep queue order
+        const now = Date.now();
+        let next = null;
+        let nextReadyAt = Infinity;
+        for (const job of pending) {
+            const readyAt = getReadyAt(job);
+            if (readyAt < nextReadyAt) {
+                next = job;
+                nextReadyAt = readyAt;
+            }
+        }
+
+        if (nextReadyAt > now) {
+            schedulePump(nextReadyAt - now);
+            return;
+        }
+
+        pending.splice(pending.indexOf(next), 1);
+        active = next;
+        next.status = 'sending';
+        next.attempts += 1;
+
+        try {
+            const result = await next.run();
+            next.status = 'sent';
+            stats.sent += 1;
+            onEvent('job_sent', describeJob(next));
+            next.resolve(result);
+        } catch (error) {
+            next.lastError = error.message;
+
+            if (isRetryableError(error) && next.attempts < options.maxAttempts) {
+                const backoff = Math.min(options.baseBackoffMs * 2 ** (next.attempts - 1), options.maxBackoffMs);
+                next.status = 'retrying';
+                next.nextAttemptAt = Date.now() + backoff + jitter();
+                stats.retried += 1;
+                pending.push(next);
+                console.log(`🔁 Retrying message to "${next.groupName}" in ${Math.round(backoff / 1000)}s (attempt ${next.attempts}/${options.maxAttempts}): ${error.message}`);
+                onEvent('job_retrying', describeJob(next));
+            } else {
+                deadLetter(next, error);
+            }
+        } finally {
+            // Failed attempts count towards the rate limits as well
+            lastSentAt = Date.now();
+            lastSentByGroup.set(next.groupKey, lastSentAt);
+            next.jitterMs = jitter();
+            active = null;
+            pump();
+        }
+    };
+
+    // Add a job; resolves with run()'s result or rejects once the job is dead-lettered
+    const enqueue = ({ groupKey, groupName, kind = 'text', taskId = null, run }) => new Promise((resolve, reject) => {
+        const job = {
+            id: String(nextJobId++),
+            groupKey,
+            groupName,
+            kind,
+            taskId,
+            run,
+            resolve,
+            reject,
+            status: 'pending',
+            attempts: 0,
+            lastError: null,
+            createdAt: Date.now(),
+            nextAttemptAt: null,
+            jitterMs: jitter()
+        };
+
+        pending.push(job);
+        onEvent('job_enqueued', describeJob(job));
+        pump();
+    });
+
+    // Queue one WhatsApp message for a group; resolves with the sent message.
+    // With getClient the message goes through whichever client is current when it
+    // is sent, so jobs queued before a reconnect do not use the replaced client.
+    const sendMessage = (group, content, { options: sendOptions, taskId = null } = {}) => enqueue({
+        groupKey: group.id._serialized,
+        groupName: group.name,
+        kind: typeof content === 'string' ? 'text' : 'media',
+        taskId,
+        run: () => (getClient
+            ? getClient().sendMessage(group.id._serialized, content, sendOptions)
+            : group.sendMessage(content, sendOptions))
+    });
+
+    // Hold queued messages, e.g. while WhatsApp is disconnected. A send already
+    // in flight finishes; everything else waits for resume().
+    const pause = () => {
+        paused = true;
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+
+    const resume = () => {
+        paused = false;
+        pump();
+    };
+
+    const getState = () => ({
+        paused,
+        active: active ? describeJob(active) : null,
+        pending: pending.map(describeJob),
+        deadLetters: [...deadLetters].reverse(),
+        stats: { ...stats, pending: pending.length },
+        config: { ...options }
+    });
+
+    return { enqueue, sendMessage, pause, resume, getState };
+};
+
+module.exports = { createSendQueue, isRetryableError };
@@ -1,5 +1,7 @@
 const qrcode = require("qrcode-terminal");
 const { Client, LocalAuth } = require("whatsapp-web.js");
+const { createGroupDirectory } = require("./group-directory");
+const { createSendQueue } = require("./send-queue");
 
 const KEYWORD = "TEST_WA_BOT"; // 🔁 Part of group names (case-sensitive!)
 const MESSAGE = "📢 Hello everyone! This is a test message.";
@@ -13,6 +15,12 @@ const client = new Client({
     }
 });
 
+const groupDirectory = createGroupDirectory();
+groupDirectory.attach(client);
+
+// Sends are paced and retried like the server's
+const sendQueue = createSendQueue();
+
 client.on("qr", qr => {
     qrcode.generate(qr, { small: true });
     console.log("🔐 Scan the QR code above to log in.");
@@ -21,10 +29,8 @@ client.on("qr", qr => {
 client.on("ready", async () => {
     console.log("✅ WhatsApp client is ready");
 
-    const chats = await client.getChats();
-    const matchingGroups = chats.filter(chat =>
-        chat.isGroup && chat.name.includes(KEYWORD)
-    );
+    const groups = await groupDirectory.list();
+    const matchingGroups = groups.filter(group => group.name.includes(KEYWORD));
 
     if (matchingGroups.length === 0) {
         console.log(`❌ No group chats found with keyword: "${KEYWORD}"`);
@@ -34,7 +40,7 @@ client.on("ready", async () => {
     console.log(`📦 Found ${matchingGroups.length} groups with "${KEYWORD}"`);
     for (const group of matchingGroups) {
         console.log(`📨 Sending to: "${group.name}"`);
-        await group.sendMessage(MESSAGE);
+        await sendQueue.sendMessage(group, MESSAGE);
         console.log(`✅ Sent to: "${group.name}"`);
     }
 
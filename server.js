@@ -1,25 +1,45 @@
 const express = require('express');
 const cors = require('cors');
-const cron = require('node-cron');
 const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
 const qrcode = require('qrcode-terminal');
 const { Client, LocalAuth } = require('whatsapp-web.js');
-const { findGroupByName, isUserAdmin } = require('./utils');
+const { resolveGroup, isUserAdmin, isTaskCreatorAdmin } = require('./utils');
+const { checkPolicy } = require('./policies');
+const { requireRole, loadApiKeys } = require('./auth');
+const { createGroupDirectory, describeGroup } = require('./group-directory');
+const { QR_FORMATS, createSessionState, renderQr } = require('./whatsapp-session');
+const { createSendQueue } = require('./send-queue');
+const { renderTaskMessage } = require('./templates');
+const { getVariantMedia, removeTaskMedia } = require('./variants');
+const { sendToGroup } = require('./group-send');
+const { DEFAULT_SESSION_ID } = require('./session-manager');
+const { recordDelivery } = require('./delivery-log');
+const { createSharedRoutes } = require('./shared-routes');
+const { createScheduler, parseTaskTiming, parseTaskLimits, parseCatchUp, validateTaskChanges, isSingleSessionTask, getNextRuns } = require('./scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
-app.use(cors());
+// Browsers may only call the API from these origins when CORS_ORIGINS is set (comma-separated)
+app.use(cors(process.env.CORS_ORIGINS ? { origin: process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()) } : undefined));
 app.use(express.json());
 
 // WhatsApp Client Setup
 let client = null;
 let isClientReady = false;
 
+// Groups are looked up here rather than by scanning every chat
+const groupDirectory = createGroupDirectory();
+
+// Login state and QR code, reported by /api/whatsapp/status and /api/whatsapp/qr
+const session = createSessionState();
+
 const initializeClient = () => {
+    session.setState('initializing');
+
     client = new Client({
         authStrategy: new LocalAuth(),
         puppeteer: {
@@ -29,42 +49,157 @@ const initializeClient = () => {
         }
     });
 
+    const thisClient = client;
+    groupDirectory.attach(client);
+
     client.on('qr', (qr) => {
         console.log('QR Code received. Please scan with WhatsApp.');
         qrcode.generate(qr, { small: true });
-        console.log('Scan the QR code above to log in');
+        console.log('Scan the QR code above to log in, or fetch it from GET /api/whatsapp/qr');
+        session.setQr(qr);
+    });
+
+    client.on('authenticated', () => {
+        console.log('🔐 WhatsApp session authenticated');
+        session.setState('authenticating');
+    });
+
+    client.on('auth_failure', (msg) => {
+        console.error('❌ Authentication failed:', msg);
+        isClientReady = false;
+        session.setState('auth_failed', { reason: msg });
+    });
+
+    client.on('loading_screen', (percent, message) => {
+        session.setLoading(percent, message);
+    });
+
+    client.on('change_state', (state) => {
+        session.setConnectionState(state);
     });
 
     client.on('ready', () => {
         console.log('✅ WhatsApp Client is ready');
         isClientReady = true;
+        session.setState('ready');
+        groupDirectory.load().catch(error => {
+            console.error('❌ Failed to load group directory:', error);
+        });
+        // Broadcasts and tasks of other sessions are left to the API server
+        scheduler.rehydrate(DEFAULT_SESSION_ID);
+        scheduler.catchUpMissedRuns(DEFAULT_SESSION_ID).catch(error => {
+            console.error('❌ Failed to catch up missed scheduled messages:', error);
+        });
+    });
+
+    client.on('group_update', (notification) => {
+        // Follow renames so schedules keep showing the group's current name
+        if (notification.type === 'subject') {
+            scheduler.renameGroup(notification.chatId, notification.body);
+        }
     });
 
     client.on('disconnected', (reason) => {
+        // Ignore a client that has already been replaced, e.g. after a logout
+        if (thisClient !== client) {
+            return;
+        }
+
         console.log('❌ Client was logged out:', reason);
         isClientReady = false;
+        session.setState('disconnected', { reason });
     });
 
-    client.initialize();
+    client.initialize().catch(error => {
+        console.error('❌ Failed to initialize WhatsApp client:', error);
+        session.setState('disconnected', { reason: error.message });
+    });
 };
 
 // Initialize client on startup
 initializeClient();
 
-// Helper function to load schedule data
-const loadScheduleData = () => {
+// Every outbound message goes through this queue for rate limiting and retries
+const sendQueue = createSendQueue();
+
+// Send a stored task to its group; resolves to true when the message went out.
+// End dates and occurrence limits are enforced by the scheduler.
+const runScheduledTask = async (task, { scheduledFor, late, variant = null } = {}) => {
+    const { id, groupId, message, maxOccurrences, createdBy } = task;
+    const media = getVariantMedia(task, variant);
+    let { groupName } = task;
+    const delivery = {
+        source: 'schedule',
+        taskId: id,
+        groupId: groupId || null,
+        groupName,
+        message,
+        imageCount: media.length,
+        requestedBy: createdBy || null,
+        apiKey: task.createdByKey || null,
+        scheduledFor: scheduledFor ? scheduledFor.toISOString() : null,
+        late: Boolean(late),
+        ...(variant ? { variantIndex: variant.index } : {})
+    };
+
     try {
-        const data = fs.readFileSync('./schedule.json', 'utf8');
-        return JSON.parse(data);
+        const group = groupId
+            ? await groupDirectory.getById(groupId)
+            : (await groupDirectory.findByName(groupName))[0];
+        if (!group) {
+            console.log(`❌ Group "${groupName}" not found. Scheduled message not sent.`);
+            recordDelivery({ ...delivery, status: 'failed', error: `Group "${groupName}" not found` });
+            return false;
+        }
+
+        // Keep the stored name current and backfill the id of tasks created before ids were stored
+        if (group.name !== groupName || !groupId) {
+            scheduler.saveTask(id, { groupId: group.id._serialized, groupName: group.name });
+            groupName = group.name;
+            delivery.groupId = group.id._serialized;
+            delivery.groupName = group.name;
+        }
+
+        const policyCheck = checkPolicy({ group, apiKey: task.createdByKey, action: 'schedule', checkDailyLimit: true });
+        if (!policyCheck.allowed) {
+            console.log(`❌ ${policyCheck.reason}. Scheduled message not sent.`);
+            recordDelivery({ ...delivery, status: 'failed', error: policyCheck.reason });
+            return false;
+        }
+
+        // The task's creator must still be an admin of the group when it fires
+        const isAdmin = await isTaskCreatorAdmin(client, group, task);
+        if (!isAdmin) {
+            console.log(`❌ User no longer admin in "${groupName}". Scheduled message not sent.`);
+            recordDelivery({ ...delivery, status: 'failed', error: `User no longer admin in "${groupName}"` });
+            return false;
+        }
+
+        // Templates and variables are filled in now, so dates and counters are current
+        const text = renderTaskMessage(task, { group, variant });
+        delivery.message = text;
+
+        // Text (with any mentions) as a caption or on its own, then the attachments
+        await sendToGroup(sendQueue, group, text, media, {
+            taskId: id,
+            mentions: task.mentions || null,
+            selfId: client.info.wid._serialized
+        });
+        console.log(`✅ Scheduled message sent to "${groupName}" at ${new Date().toLocaleString()} (occurrence ${(task.currentOccurrences || 0) + 1}${maxOccurrences ? `/${maxOccurrences}` : ''})${media.length ? ` with ${media.length} attachment(s)` : ''}`);
+        recordDelivery({ ...delivery, status: 'sent' });
+        return true;
     } catch (error) {
-        return [];
+        console.error(`Error sending scheduled message to "${groupName}":`, error.message);
+        recordDelivery({ ...delivery, status: 'failed', error: error.message });
+        return false;
     }
 };
 
-// Helper function to save schedule data
-const saveScheduleData = (data) => {
-    fs.writeFileSync('./schedule.json', JSON.stringify(data, null, 2));
-};
+const scheduler = createScheduler({
+    runTask: runScheduledTask,
+    onFinish: removeTaskMedia,
+    canRun: isSingleSessionTask
+});
 
 const uploadDir = "./uploads";
 if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir);
@@ -92,22 +227,97 @@ app.get('/api/health', (req, res) => {
 });
 
 // Get WhatsApp connection status
-app.get('/api/whatsapp/status', (req, res) => {
+app.get('/api/whatsapp/status', requireRole('viewer'), (req, res) => {
     res.json({
         isReady: isClientReady,
-        clientInfo: isClientReady ? client.info : null
+        clientInfo: isClientReady ? client.info : null,
+        ...session.getStatus()
     });
 });
 
+// Get the QR code to link the WhatsApp account, as ?format=png (default), svg or dataurl
+app.get('/api/whatsapp/qr', requireRole('admin'), async (req, res) => {
+    try {
+        const format = req.query.format || 'png';
+
+        if (!QR_FORMATS.includes(format)) {
+            return res.status(400).json({
+                error: `format must be one of: ${QR_FORMATS.join(', ')}`
+            });
+        }
+
+        const qr = session.getQr();
+        if (!qr) {
+            const { state } = session.getStatus();
+            return res.status(404).json({
+                error: state === 'ready'
+                    ? 'WhatsApp is already linked; no QR code is needed'
+                    : `No QR code available yet (session is ${state})`,
+                state
+            });
+        }
+
+        const rendered = await renderQr(qr, format);
+
+        // QR codes rotate every few seconds, so they must never be cached
+        res.set('Cache-Control', 'no-store');
+        if (format === 'png') {
+            return res.type('png').send(rendered);
+        }
+        if (format === 'svg') {
+            return res.type('svg').send(rendered);
+        }
+        res.json({
+            success: true,
+            qr: rendered,
+            receivedAt: session.getStatus().qrReceivedAt
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to render QR code',
+            details: error.message
+        });
+    }
+});
+
+// Unlink the WhatsApp account and start a fresh session waiting for a new QR scan
+app.post('/api/whatsapp/logout', requireRole('admin'), async (req, res) => {
+    try {
+        if (!client || !isClientReady) {
+            return res.status(409).json({
+                error: 'WhatsApp is not linked'
+            });
+        }
+
+        console.log('🚪 Logging out of WhatsApp...');
+        isClientReady = false;
+        await client.logout();
+
+        session.setState('disconnected', { reason: 'LOGOUT' });
+        initializeClient();
+
+        res.json({
+            success: true,
+            message: 'Logged out. Scan the new QR code from /api/whatsapp/qr to link an account.'
+        });
+    } catch (error) {
+        console.error('❌ Logout failed:', error);
+        res.status(500).json({
+            error: 'Failed to log out',
+            details: error.message
+        });
+    }
+});
+
 // Send immediate message
-app.post('/api/messages/send', async (req, res) => {
+app.post('/api/messages/send', requireRole('sender'), async (req, res) => {
     try {
-        const { groupName, message } = req.body;
+        const { groupId, message } = req.body;
 
         // Validation
-        if (!groupName || !message) {
+        if ((!req.body.groupName && !groupId) || !message) {
             return res.status(400).json({
-                error: 'groupName and message are required'
+                error: 'groupName or groupId, and message are required'
             });
         }
 
@@ -117,26 +327,63 @@ app.post('/api/messages/send', async (req, res) => {
             });
         }
 
-        // Find the group
-        const group = await findGroupByName(client, groupName);
+        // Find the group, by id when given
+        const { group, status, error, candidates } = await resolveGroup(groupDirectory, req.body);
         if (!group) {
-            return res.status(404).json({
-                error: `Group "${groupName}" not found`
+            return res.status(status).json({ error, candidates });
+        }
+        const groupName = group.name;
+
+        // Enforce the group's sending policy
+        const policyCheck = checkPolicy({ group, apiKey: req.apiKey.name, action: 'send' });
+        if (!policyCheck.allowed) {
+            return res.status(403).json({
+                error: policyCheck.reason,
+                policy: policyCheck.policy
             });
         }
 
-
-
-        console.log('Admin check bypassed for testing')
-
+        // Only admins of the group may send to it
+        const currentUser = client.info.wid._serialized;
+        const isAdmin = await isUserAdmin(client, group, currentUser);
+        if (!isAdmin) {
+            return res.status(403).json({
+                error: `You are not an admin in "${groupName}". Only admins can send messages.`
+            });
+        }
 
         // Send the message
-        await group.sendMessage(message);
+        try {
+            await sendQueue.sendMessage(group, message);
+        } catch (sendError) {
+            recordDelivery({
+                source: 'api',
+                status: 'failed',
+                groupName,
+                groupId: group.id._serialized,
+                message,
+                requestedBy: currentUser,
+                apiKey: req.apiKey.name,
+                error: sendError.message
+            });
+            throw sendError;
+        }
+
+        recordDelivery({
+            source: 'api',
+            status: 'sent',
+            groupName,
+            groupId: group.id._serialized,
+            message,
+            requestedBy: currentUser,
+            apiKey: req.apiKey.name
+        });
 
         res.json({
             success: true,
             message: 'Message sent successfully',
             groupName,
+            groupId: group.id._serialized,
             sentAt: new Date().toISOString()
         });
 
@@ -150,14 +397,14 @@ app.post('/api/messages/send', async (req, res) => {
 });
 
 // Schedule a message
-app.post('/api/messages/schedule', async (req, res) => {
+app.post('/api/messages/schedule', requireRole('sender'), async (req, res) => {
     try {
-        const { groupName, message, cronTime, description, endDate, maxOccurrences } = req.body;
+        const { groupId, message, cronTime, sendAt, description } = req.body;
 
         // Validation
-        if (!groupName || !message || !cronTime) {
+        if ((!req.body.groupName && !groupId) || !message || (!cronTime && !sendAt)) {
             return res.status(400).json({
-                error: 'groupName, message, and cronTime are required'
+                error: 'groupName or groupId, message, and either cronTime or sendAt are required'
             });
         }
 
@@ -167,109 +414,79 @@ app.post('/api/messages/schedule', async (req, res) => {
             });
         }
 
-        // Validate cron expression
-        if (!cron.validate(cronTime)) {
+        // Validate the cron expression or one-off send time and its timezone
+        const { error: timingError, timing } = parseTaskTiming(req.body);
+        if (timingError) {
             return res.status(400).json({
-                error: 'Invalid cron expression'
+                error: timingError
             });
         }
 
-        // Validate end date if provided
-        let endDateTime = null;
-        if (endDate) {
-            endDateTime = new Date(endDate);
-            if (isNaN(endDateTime.getTime())) {
-                return res.status(400).json({
-                    error: 'Invalid endDate format. Use ISO string format (e.g., "2024-12-31T23:59:59.000Z")'
-                });
-            }
-            if (endDateTime <= new Date()) {
-                return res.status(400).json({
-                    error: 'endDate must be in the future'
-                });
-            }
+        // Validate startDate, endDate and maxOccurrences if provided
+        const { error: limitsError, limits } = parseTaskLimits(req.body);
+        if (limitsError) {
+            return res.status(400).json({
+                error: limitsError
+            });
         }
 
-        // Validate maxOccurrences if provided
-        if (maxOccurrences !== undefined && (typeof maxOccurrences !== 'number' || maxOccurrences <= 0)) {
+        // Validate the missed-run policy if provided
+        const { error: catchUpError, catchUp } = parseCatchUp(req.body);
+        if (catchUpError) {
             return res.status(400).json({
-                error: 'maxOccurrences must be a positive number'
+                error: catchUpError
             });
         }
 
-        // Find the group
-        const group = await findGroupByName(client, groupName);
+        // Find the group, by id when given
+        const { group, status, error, candidates } = await resolveGroup(groupDirectory, req.body);
         if (!group) {
-            return res.status(404).json({
-                error: `Group "${groupName}" not found`
+            return res.status(status).json({ error, candidates });
+        }
+        const groupName = group.name;
+
+        // Enforce the group's sending policy
+        const policyCheck = checkPolicy({ group, apiKey: req.apiKey.name, action: 'schedule' });
+        if (!policyCheck.allowed) {
+            return res.status(403).json({
+                error: policyCheck.reason,
+                policy: policyCheck.policy
             });
         }
 
+        // Only admins of the group may schedule messages to it
         const currentUser = client.info.wid._serialized;
-        console.log(`Logged in as: ${currentUser}`);
-
-        // Load existing schedule data
-        const scheduleData = loadScheduleData();
+        const isAdmin = await isUserAdmin(client, group, currentUser);
+        if (!isAdmin) {
+            return res.status(403).json({
+                error: `You are not an admin in "${groupName}". Only admins can schedule messages.`
+            });
+        }
 
         // Create new scheduled task
         const newTask = {
             id: Date.now().toString(),
+            groupId: group.id._serialized,
             groupName,
             message,
-            cron: cronTime,
+            cron: timing.cron,
+            sendAt: timing.sendAt,
+            timezone: timing.timezone || null,
             description: description || '',
-            endDate: endDateTime ? endDateTime.toISOString() : null,
-            maxOccurrences: maxOccurrences || null,
+            startDate: limits.startDate || null,
+            endDate: limits.endDate || null,
+            maxOccurrences: limits.maxOccurrences || null,
             currentOccurrences: 0,
+            catchUp: catchUp.catchUp || 'skip',
+            maxLatenessMinutes: catchUp.maxLatenessMinutes || null,
+            status: 'active',
             createdAt: new Date().toISOString(),
-            createdBy: currentUser
+            createdBy: currentUser,
+            createdByKey: req.apiKey.name
         };
 
-        // Add to schedule data
-        scheduleData.push(newTask);
-        saveScheduleData(scheduleData);
-
-        // Schedule the cron job with limits check
-        cron.schedule(cronTime, async () => {
-            try {
-                // Load current schedule data to get updated occurrence count
-                const currentScheduleData = loadScheduleData();
-                const currentTask = currentScheduleData.find(task => task.id === newTask.id);
-
-                if (!currentTask) {
-                    console.log(`⚠️ Scheduled task ${newTask.id} not found, stopping execution`);
-                    return;
-                }
-
-                // Check if the schedule has expired by end date
-                if (endDateTime && new Date() > endDateTime) {
-                    console.log(`⏰ Scheduled message for "${groupName}" has expired (end date reached) and will be removed`);
-                    const filteredData = currentScheduleData.filter(task => task.id !== newTask.id);
-                    saveScheduleData(filteredData);
-                    return;
-                }
-
-                // Check if max occurrences reached
-                if (maxOccurrences && currentTask.currentOccurrences >= maxOccurrences) {
-                    console.log(`🔢 Scheduled message for "${groupName}" has reached max occurrences (${maxOccurrences}) and will be removed`);
-                    const filteredData = currentScheduleData.filter(task => task.id !== newTask.id);
-                    saveScheduleData(filteredData);
-                    return;
-                }
-
-                const group = await findGroupByName(client, groupName);
-                if (group) {
-                    await group.sendMessage(message);
-                    console.log(`✅ Scheduled message sent to "${groupName}" at ${new Date().toLocaleString()} (occurrence ${currentTask.currentOccurrences + 1}${maxOccurrences ? `/${maxOccurrences}` : ''})`);
-
-                    // Update occurrence count
-                    currentTask.currentOccurrences += 1;
-                    saveScheduleData(currentScheduleData);
-                }
-            } catch (error) {
-                console.error(`Error sending scheduled message to "${groupName}":`, error.message);
-            }
-        });
+        // Save the task and schedule the cron job with limits check
+        scheduler.addTask(newTask);
 
         res.json({
             success: true,
@@ -287,9 +504,15 @@ app.post('/api/messages/schedule', async (req, res) => {
 });
 
 // Get all scheduled messages
-app.get('/api/messages/scheduled', (req, res) => {
+app.get('/api/messages/scheduled', requireRole('viewer'), (req, res) => {
     try {
-        const scheduleData = loadScheduleData();
+        const { status } = req.query;
+        const scheduleData = scheduler.listTasks()
+            .filter(task => !status || task.status === status)
+            .map(task => {
+                const [nextRun] = getNextRuns(task, 1);
+                return { ...task, nextRunAt: nextRun ? nextRun.toISOString() : null };
+            });
         res.json({
             success: true,
             scheduledMessages: scheduleData
@@ -302,21 +525,90 @@ app.get('/api/messages/scheduled', (req, res) => {
     }
 });
 
-// Delete a scheduled message
-app.delete('/api/messages/scheduled/:id', (req, res) => {
+// Previews, pause and resume, history, policies and API keys work the same in both servers
+app.use(createSharedRoutes({
+    scheduler,
+    listGroups: () => (isClientReady ? groupDirectory.list() : [])
+}));
+
+// Edit a scheduled message in place
+app.patch('/api/messages/scheduled/:id', requireRole('sender'), async (req, res) => {
     try {
         const { id } = req.params;
-        const scheduleData = loadScheduleData();
+        const task = scheduler.getTask(id);
+
+        if (!task) {
+            return res.status(404).json({
+                error: 'Scheduled message not found'
+            });
+        }
+
+        const { error, changes } = validateTaskChanges(req.body, task);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
-        const filteredData = scheduleData.filter(task => task.id !== id);
+        const groupChanged = (changes.groupId && changes.groupId !== task.groupId)
+            || (changes.groupName && changes.groupName !== task.groupName);
 
-        if (filteredData.length === scheduleData.length) {
+        if (groupChanged) {
+            if (!isClientReady) {
+                return res.status(503).json({
+                    error: 'WhatsApp client is not ready. Please try again later.'
+                });
+            }
+
+            const { group, status, error: groupError, candidates } = await resolveGroup(groupDirectory, changes);
+            if (!group) {
+                return res.status(status).json({ error: groupError, candidates });
+            }
+
+            const policyCheck = checkPolicy({ group, apiKey: req.apiKey.name, action: 'schedule' });
+            if (!policyCheck.allowed) {
+                return res.status(403).json({
+                    error: policyCheck.reason,
+                    policy: policyCheck.policy
+                });
+            }
+
+            const isAdmin = await isUserAdmin(client, group, client.info.wid._serialized);
+            if (!isAdmin) {
+                return res.status(403).json({
+                    error: `You are not an admin in "${group.name}". Only admins can schedule messages.`
+                });
+            }
+
+            changes.groupId = group.id._serialized;
+            changes.groupName = group.name;
+        }
+
+        const updatedTask = scheduler.updateTask(id, changes);
+
+        res.json({
+            success: true,
+            message: 'Scheduled message updated successfully',
+            task: updatedTask
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to update scheduled message',
+            details: error.message
+        });
+    }
+});
+
+// Delete a scheduled message
+app.delete('/api/messages/scheduled/:id', requireRole('sender'), (req, res) => {
+    try {
+        const task = scheduler.cancelTask(req.params.id);
+
+        if (!task) {
             return res.status(404).json({
                 error: 'Scheduled message not found'
             });
         }
 
-        saveScheduleData(filteredData);
+        removeTaskMedia(task);
 
         res.json({
             success: true,
@@ -330,8 +622,16 @@ app.delete('/api/messages/scheduled/:id', (req, res) => {
     }
 });
 
+// Inspect the outbound send queue: pending, in-flight and dead-lettered messages
+app.get('/api/queue', requireRole('viewer'), (req, res) => {
+    res.json({
+        success: true,
+        ...sendQueue.getState()
+    });
+});
+
 // Get available groups
-app.get('/api/groups', async (req, res) => {
+app.get('/api/groups', requireRole('viewer'), async (req, res) => {
     try {
         if (!isClientReady) {
             return res.status(503).json({
@@ -339,14 +639,11 @@ app.get('/api/groups', async (req, res) => {
             });
         }
 
-        const chats = await client.getChats();
-        const groups = chats
-            .filter(chat => chat.isGroup)
-            .map(group => ({
-                id: group.id._serialized,
-                name: group.name,
-                participantCount: group.participants ? group.participants.length : 0
-            }));
+        // ?search= returns the closest name matches first
+        const { search } = req.query;
+        const groups = search
+            ? (await groupDirectory.search(search, 50)).map(({ group, score }) => ({ ...describeGroup(group), score }))
+            : (await groupDirectory.list()).map(describeGroup);
 
         res.json({
             success: true,
@@ -360,8 +657,32 @@ app.get('/api/groups', async (req, res) => {
     }
 });
 
+// Rebuild the group directory from WhatsApp, for when it has drifted
+app.post('/api/groups/refresh', requireRole('admin'), async (req, res) => {
+    try {
+        if (!isClientReady) {
+            return res.status(503).json({
+                error: 'WhatsApp client is not ready'
+            });
+        }
+
+        const groupCount = await groupDirectory.refresh();
+
+        res.json({
+            success: true,
+            message: `Group directory refreshed: ${groupCount} group(s)`,
+            directory: groupDirectory.getState()
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to refresh groups',
+            details: error.message
+        });
+    }
+});
+
 // Add file upload endpoint
-app.post('/api/upload', upload.single('file'), (req, res) => {
+app.post('/api/upload', requireRole('sender'), upload.single('file'), (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
@@ -386,6 +707,9 @@ app.use((error, req, res, next) => {
 app.listen(PORT, () => {
     console.log(`🚀 API Server running on port ${PORT}`);
     console.log(`📡 Health check: http://localhost:${PORT}/api/health`);
+    if (loadApiKeys().length === 0) {
+        console.log('⚠️ No API keys configured. Create one with: node create-api-key.js <name> admin');
+    }
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,87 @@
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const SESSIONS_FILE = './sessions.json';
+
+// The session used when a request or a stored task does not name one. It keeps
+// the original LocalAuth() data, so existing logins carry over.
+const DEFAULT_SESSION_ID = 'default';
+
+// LocalAuth only accepts letters, digits, underscores and hyphens in a clientId
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// Load session configs; the default session always exists
+const loadSessionConfigs = () => {
+    const configs = readJsonFile(SESSIONS_FILE);
+    if (!configs.some(config => config.id === DEFAULT_SESSION_ID)) {
+        configs.unshift({ id: DEFAULT_SESSION_ID, label: 'Default', createdAt: null });
+    }
+    return configs;
+};
+
+const saveSessionConfigs = (configs) => writeJsonFile(SESSIONS_FILE, configs);
+
+// Validate a new session. Returns { error } or { config }.
+const parseSessionConfig = (body, existingIds) => {
+    const { id, label } = body || {};
+
+    if (!id || !SESSION_ID_PATTERN.test(id)) {
+        return { error: 'id is required and may only contain letters, digits, "_" and "-" (up to 32 characters)' };
+    }
+    if (existingIds.includes(id)) {
+        return { error: `Session "${id}" already exists` };
+    }
+
+    return { config: { id, label: label || id, createdAt: new Date().toISOString() } };
+};
+
+// Keep one running WhatsApp session per stored config. createSession(config)
+// builds a session object with start() and stop() methods; everything else on
+// it is up to the caller.
+const createSessionManager = ({ createSession }) => {
+    const sessions = new Map();
+
+    const get = (id) => sessions.get(id || DEFAULT_SESSION_ID) || null;
+
+    const list = () => [...sessions.values()];
+
+    const startSession = (config) => {
+        const session = createSession(config);
+        sessions.set(config.id, session);
+        session.start();
+        return session;
+    };
+
+    // Start every stored session, e.g. on startup
+    const startAll = () => {
+        loadSessionConfigs().forEach(startSession);
+    };
+
+    // Store and start a new session. Returns { error } or { session }.
+    const add = (body) => {
+        const configs = loadSessionConfigs();
+        const { error, config } = parseSessionConfig(body, configs.map(existing => existing.id));
+        if (error) {
+            return { error };
+        }
+
+        saveSessionConfigs([...configs, config]);
+        return { session: startSession(config) };
+    };
+
+    // Stop a session and forget it. The default session cannot be removed.
+    const remove = async (id) => {
+        const session = sessions.get(id);
+        if (!session || id === DEFAULT_SESSION_ID) {
+            return false;
+        }
+
+        sessions.delete(id);
+        saveSessionConfigs(loadSessionConfigs().filter(config => config.id !== id));
+        await session.stop();
+        return true;
+    };
+
+    return { get, list, startAll, add, remove };
+};
+
+module.exports = { DEFAULT_SESSION_ID, loadSessionConfigs, createSessionManager };
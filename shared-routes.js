@@ -0,0 +1,301 @@
+const express = require('express');
+const { requireRole, createApiKey, revokeApiKey, loadApiKeys, describeApiKey } = require('./auth');
+const { loadPolicies, getGroupPolicy, getSentTodayCounts } = require('./policies');
+const { parseHistoryFilters, queryDeliveries } = require('./delivery-log');
+const { parseTaskTiming, parseTaskLimits, parseRunCount, isFinished, getNextRuns } = require('./scheduler');
+
+// Routes both servers (server.js and api-server.js) answer the same way: schedule
+// previews, pausing and resuming, delivery history, policies and API keys.
+// listGroups(req) resolves to the groups of the request's WhatsApp client, or none
+// while it is not ready; withSession runs first on routes that need that client.
+const createSharedRoutes = ({ scheduler, listGroups, withSession = (req, res, next) => next() }) => {
+    const router = express.Router();
+
+    // Preview the upcoming send times of a scheduled message
+    router.get('/api/messages/scheduled/:id/next-runs', requireRole('viewer'), (req, res) => {
+        try {
+            const task = scheduler.getTask(req.params.id);
+
+            if (!task) {
+                return res.status(404).json({
+                    error: 'Scheduled message not found'
+                });
+            }
+
+            const { error, count } = parseRunCount(req.query.count);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            res.json({
+                success: true,
+                id: task.id,
+                status: task.status || 'active',
+                timezone: task.timezone || null,
+                nextRuns: getNextRuns(task, count).map(run => run.toISOString())
+            });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to preview scheduled message',
+                details: error.message
+            });
+        }
+    });
+
+    // Get the delivery history, optionally filtered by group (groupId or groupName), task, session, status and date range
+    router.get('/api/messages/history', requireRole('viewer'), (req, res) => {
+        try {
+            const { error, filters } = parseHistoryFilters(req.query);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            const deliveries = queryDeliveries(filters);
+
+            res.json({
+                success: true,
+                count: deliveries.length,
+                deliveries
+            });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to fetch message history',
+                details: error.message
+            });
+        }
+    });
+
+    // Get the deliveries and scheduler decisions of one scheduled message
+    router.get('/api/messages/scheduled/:id/history', requireRole('viewer'), (req, res) => {
+        try {
+            const { id } = req.params;
+            const { error, filters } = parseHistoryFilters(req.query);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            // Deliveries outlive deleted tasks, so only 404 when neither exists
+            const task = scheduler.getTask(id);
+            const deliveries = queryDeliveries({ ...filters, taskId: id });
+
+            if (!task && deliveries.length === 0) {
+                return res.status(404).json({
+                    error: 'Scheduled message not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                id,
+                task,
+                deliveries,
+                events: task ? task.history || [] : []
+            });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to fetch scheduled message history',
+                details: error.message
+            });
+        }
+    });
+
+    // Pause a scheduled message without deleting it
+    router.post('/api/messages/scheduled/:id/pause', requireRole('sender'), (req, res) => {
+        try {
+            const existing = scheduler.getTask(req.params.id);
+
+            if (!existing) {
+                return res.status(404).json({
+                    error: 'Scheduled message not found'
+                });
+            }
+
+            if (isFinished(existing)) {
+                return res.status(409).json({
+                    error: `Scheduled message has already ${existing.status === 'expired' ? 'expired' : 'completed'}`
+                });
+            }
+
+            const task = scheduler.pauseTask(req.params.id);
+
+            res.json({
+                success: true,
+                message: 'Scheduled message paused',
+                task
+            });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to pause scheduled message',
+                details: error.message
+            });
+        }
+    });
+
+    // Resume a paused scheduled message
+    router.post('/api/messages/scheduled/:id/resume', requireRole('sender'), (req, res) => {
+        try {
+            const existing = scheduler.getTask(req.params.id);
+
+            if (!existing) {
+                return res.status(404).json({
+                    error: 'Scheduled message not found'
+                });
+            }
+
+            if (isFinished(existing)) {
+                return res.status(409).json({
+                    error: `Scheduled message has already ${existing.status === 'expired' ? 'expired' : 'completed'}`
+                });
+            }
+
+            const task = scheduler.resumeTask(req.params.id);
+
+            res.json({
+                success: true,
+                message: 'Scheduled message resumed',
+                task
+            });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to resume scheduled message',
+                details: error.message
+            });
+        }
+    });
+
+    // Dry-run a schedule: validate it and list when it would fire, without saving anything
+    router.post('/api/schedules/preview', requireRole('viewer'), (req, res) => {
+        try {
+            const { cronTime, sendAt } = req.body;
+
+            if (!cronTime && !sendAt) {
+                return res.status(400).json({
+                    error: 'Either cronTime or sendAt is required'
+                });
+            }
+
+            const { error: timingError, timing } = parseTaskTiming(req.body);
+            if (timingError) {
+                return res.status(400).json({
+                    error: timingError
+                });
+            }
+
+            const { error: limitsError, limits } = parseTaskLimits(req.body);
+            if (limitsError) {
+                return res.status(400).json({
+                    error: limitsError
+                });
+            }
+
+            const { error: countError, count } = parseRunCount(req.body.count);
+            if (countError) {
+                return res.status(400).json({
+                    error: countError
+                });
+            }
+
+            const nextRuns = getNextRuns({ ...timing, ...limits, currentOccurrences: 0 }, count);
+
+            res.json({
+                success: true,
+                valid: true,
+                timezone: timing.timezone || null,
+                nextRuns: nextRuns.map(run => run.toISOString()),
+                ...(nextRuns.length === 0 && { warning: 'This schedule will never fire with the given limits' })
+            });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to preview schedule',
+                details: error.message
+            });
+        }
+    });
+
+    // List sending policies and the groups each one currently governs
+    router.get('/api/policies', requireRole('viewer'), withSession, async (req, res) => {
+        try {
+            const policies = loadPolicies();
+            const groups = await listGroups(req);
+            const sentToday = getSentTodayCounts();
+
+            res.json({
+                success: true,
+                policies: policies.map(policy => ({
+                    ...policy,
+                    groups: groups
+                        .filter(group => getGroupPolicy(group, policies) === policy)
+                        .map(group => ({
+                            id: group.id._serialized,
+                            name: group.name,
+                            sentToday: sentToday.get(group.id._serialized) || 0
+                        }))
+                })),
+                unrestrictedGroupCount: groups.filter(group => !getGroupPolicy(group, policies)).length
+            });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to fetch policies',
+                details: error.message
+            });
+        }
+    });
+
+    // List API keys (hashes are never returned)
+    router.get('/api/keys', requireRole('admin'), (req, res) => {
+        res.json({
+            success: true,
+            keys: loadApiKeys().map(describeApiKey)
+        });
+    });
+
+    // Create an API key. The key itself is only returned in this response.
+    router.post('/api/keys', requireRole('admin'), (req, res) => {
+        try {
+            const { name, role } = req.body;
+
+            if (!name || !role) {
+                return res.status(400).json({
+                    error: 'name and role are required'
+                });
+            }
+
+            const { key, apiKey } = createApiKey({ name, role, createdBy: req.apiKey.name });
+
+            res.json({
+                success: true,
+                message: 'API key created. Store it now; it cannot be shown again.',
+                key,
+                apiKey
+            });
+        } catch (error) {
+            res.status(400).json({
+                error: error.message
+            });
+        }
+    });
+
+    // Revoke an API key
+    router.delete('/api/keys/:id', requireRole('admin'), (req, res) => {
+        if (req.params.id === req.apiKey.id) {
+            return res.status(400).json({
+                error: 'You cannot revoke the key you are using'
+            });
+        }
+
+        if (!revokeApiKey(req.params.id)) {
+            return res.status(404).json({
+                error: 'API key not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'API key revoked'
+        });
+    });
+
+    return router;
+};
+
+module.exports = { createSharedRoutes };
@@ -0,0 +1,184 @@
+const { getZonedParts } = require('./schedule-time');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const TEMPLATES_FILE = './templates.json';
+
+// Variables every message can use; they are filled in when the message is sent
+const BUILT_IN_VARIABLES = ['date', 'time', 'weekday', 'groupName', 'participantCount', 'occurrence', 'maxOccurrences'];
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Custom variable names look like identifiers, e.g. {{roomNumber}}
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_]\w*$/;
+
+const loadTemplates = () => readJsonFile(TEMPLATES_FILE);
+const saveTemplates = (templates) => writeJsonFile(TEMPLATES_FILE, templates);
+
+const getTemplate = (id) => loadTemplates().find(template => template.id === id) || null;
+
+// Fill {{name}} placeholders; unknown ones are left as they are so mistakes stay visible
+const renderTemplate = (text, variables = {}) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => (
+    variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : placeholder
+));
+
+// Parse custom variables given as an object or a JSON string (multipart forms).
+// Returns { error } or { variables }.
+const parseVariables = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return { variables: {} };
+    }
+
+    let variables = value;
+    if (typeof value === 'string') {
+        try {
+            variables = JSON.parse(value);
+        } catch (error) {
+            return { error: 'variables must be a JSON object, e.g. {"room": "4B"}' };
+        }
+    }
+
+    if (typeof variables !== 'object' || Array.isArray(variables)) {
+        return { error: 'variables must be a JSON object, e.g. {"room": "4B"}' };
+    }
+
+    for (const [name, variableValue] of Object.entries(variables)) {
+        if (!VARIABLE_NAME_PATTERN.test(name)) {
+            return { error: `Invalid variable name "${name}"` };
+        }
+        if (BUILT_IN_VARIABLES.includes(name)) {
+            return { error: `"${name}" is a built-in variable and cannot be overridden` };
+        }
+        if (typeof variableValue === 'object' && variableValue !== null) {
+            return { error: `Variable "${name}" must be a string or number` };
+        }
+    }
+
+    return { variables };
+};
+
+// Validate a template from a request body. With existing, only the fields present
+// are checked (for edits). Returns { error } or { template }.
+const parseTemplate = (body, existing = null) => {
+    const { name, description } = body || {};
+    const template = {};
+
+    if (name !== undefined || !existing) {
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return { error: 'name is required' };
+        }
+        const taken = loadTemplates().some(stored => stored.name === name && (!existing || stored.id !== existing.id));
+        if (taken) {
+            return { error: `A template named "${name}" already exists` };
+        }
+        template.name = name;
+    }
+
+    if (body.body !== undefined || !existing) {
+        if (!body.body || typeof body.body !== 'string' || !body.body.trim()) {
+            return { error: 'body is required' };
+        }
+        template.body = body.body;
+    }
+
+    if (description !== undefined) {
+        template.description = description || '';
+    }
+
+    if (body.variables !== undefined) {
+        const { error, variables } = parseVariables(body.variables);
+        if (error) {
+            return { error };
+        }
+        template.variables = variables;
+    }
+
+    return { template };
+};
+
+const createTemplate = (fields, createdBy = null) => {
+    const templates = loadTemplates();
+    const template = {
+        id: Date.now().toString(),
+        description: '',
+        variables: {},
+        ...fields,
+        createdAt: new Date().toISOString(),
+        createdBy
+    };
+
+    templates.push(template);
+    saveTemplates(templates);
+    return template;
+};
+
+const updateTemplate = (id, changes) => {
+    const templates = loadTemplates();
+    const template = templates.find(stored => stored.id === id);
+
+    if (!template) {
+        return null;
+    }
+
+    Object.assign(template, changes, { updatedAt: new Date().toISOString() });
+    saveTemplates(templates);
+    return template;
+};
+
+const deleteTemplate = (id) => {
+    const templates = loadTemplates();
+    const remaining = templates.filter(template => template.id !== id);
+
+    if (remaining.length === templates.length) {
+        return false;
+    }
+    saveTemplates(remaining);
+    return true;
+};
+
+// The built-in variables for one send of a task to a group. Dates use the task's time zone.
+const getBuiltInVariables = ({ task = {}, group = null, sentAt = new Date() } = {}) => {
+    const { year, month, day, hour, minute } = getZonedParts(sentAt, task.timezone || null);
+    const pad = (value) => String(value).padStart(2, '0');
+
+    return {
+        date: `${year}-${pad(month)}-${pad(day)}`,
+        time: `${pad(hour)}:${pad(minute)}`,
+        weekday: WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()],
+        groupName: group ? group.name : task.groupName,
+        participantCount: group && group.participants ? group.participants.length : null,
+        occurrence: (task.currentOccurrences || 0) + 1,
+        maxOccurrences: task.maxOccurrences || '∞'
+    };
+};
+
+// The text a task sends to a group right now: the variant picked for this run, its
+// library template (if it still exists, so edits to the template apply) or its own
+// message, with the template's default variables, the task's own variables and the
+// built-in ones filled in
+const renderTaskMessage = (task, { group = null, sentAt = new Date(), variant = null } = {}) => {
+    const template = task.templateId ? getTemplate(task.templateId) : null;
+    let text = template ? template.body : task.message;
+    if (variant) {
+        text = variant.message;
+    }
+
+    return renderTemplate(text || '', {
+        ...(template ? template.variables : {}),
+        ...(task.variables || {}),
+        ...getBuiltInVariables({ task, group, sentAt })
+    });
+};
+
+module.exports = {
+    BUILT_IN_VARIABLES,
+    loadTemplates,
+    getTemplate,
+    renderTemplate,
+    parseVariables,
+    parseTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    getBuiltInVariables,
+    renderTaskMessage
+};
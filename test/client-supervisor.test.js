@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { createClientSupervisor } = require('../client-supervisor');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A client whose initialize() never settles, as when the browser hangs
+const createFakeClient = (id) => Object.assign(new EventEmitter(), {
+    id,
+    destroyed: false,
+    initialize: () => new Promise(() => {}),
+    destroy: async function () {
+        this.destroyed = true;
+    }
+});
+
+const createTestSupervisor = (t) => {
+    t.mock.method(console, 'log', () => {});
+    const clients = [];
+    const events = [];
+    const supervisor = createClientSupervisor({
+        createClient: () => {
+            const client = createFakeClient(clients.length + 1);
+            clients.push(client);
+            return client;
+        },
+        onUp: (client) => events.push(`up ${client.id}`),
+        onDown: (reason) => events.push(`down ${reason.split(':')[0]}`)
+    }, { initTimeoutMs: 30, baseDelayMs: 60, maxDelayMs: 60 });
+    t.after(() => supervisor.stop());
+    return { supervisor, clients, events };
+};
+
+test('a hung client that becomes ready after its failure is not brought back', async (t) => {
+    const { supervisor, clients, events } = createTestSupervisor(t);
+    supervisor.start();
+
+    // The watchdog fires and a retry is scheduled
+    await wait(45);
+    assert.deepStrictEqual(events, ['down Client hung while initializing for 0s']);
+
+    // The hung client finally gets ready, then the retry replaces it
+    clients[0].emit('ready');
+    await wait(60);
+
+    assert.deepStrictEqual(events, ['down Client hung while initializing for 0s']);
+    assert.strictEqual(clients.length, 2);
+    assert.strictEqual(clients[0].destroyed, true);
+    assert.strictEqual(supervisor.getState().health, 'degraded');
+
+    clients[1].emit('ready');
+    assert.deepStrictEqual(events.slice(1), ['up 2']);
+    assert.strictEqual(supervisor.getState().consecutiveFailures, 0);
+});
+
+test('a late disconnect from a failed client is not counted again', async (t) => {
+    const { supervisor, clients, events } = createTestSupervisor(t);
+    supervisor.start();
+    clients[0].emit('qr');
+    clients[0].emit('auth_failure', 'bad session');
+
+    clients[0].emit('disconnected', 'NAVIGATION');
+    assert.strictEqual(supervisor.getState().consecutiveFailures, 1);
+    assert.deepStrictEqual(events, ['down Authentication failed']);
+});
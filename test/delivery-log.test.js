@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { recordDelivery, parseHistoryFilters, queryDeliveries } = require('../delivery-log');
+const { useTempDir } = require('./helpers');
+
+test('history is filtered by groupId in preference to groupName', (t) => {
+    useTempDir(t);
+
+    // The same group before and after a rename, and another group that took its old name
+    recordDelivery({ groupId: 'team@g.us', groupName: 'Team' });
+    recordDelivery({ groupId: 'team@g.us', groupName: 'Team 2025' });
+    recordDelivery({ groupId: 'other@g.us', groupName: 'Team' });
+
+    const { filters } = parseHistoryFilters({ groupId: 'team@g.us', groupName: 'Team' });
+    const deliveries = queryDeliveries(filters);
+    assert.deepStrictEqual(deliveries.map(entry => entry.groupName), ['Team 2025', 'Team']);
+
+    const byName = queryDeliveries(parseHistoryFilters({ groupName: 'Team' }).filters);
+    assert.deepStrictEqual(byName.map(entry => entry.groupId), ['other@g.us', 'team@g.us']);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getDraft, createDraft, getReviewError, reviewDraft, recordDraftResult } = require('../drafts');
+const { useTempDir } = require('./helpers');
+
+const draftFields = { kind: 'send', groupName: 'Team', message: 'Release is out', attachments: [] };
+
+test('drafts are approved only by someone other than the requester', (t) => {
+    useTempDir(t);
+    const draft = createDraft(draftFields, 'intern');
+
+    assert.deepStrictEqual(getReviewError(draft, 'approved', 'intern'), {
+        status: 403,
+        error: 'Drafts must be approved by someone other than the requester'
+    });
+    assert.strictEqual(getReviewError(draft, 'approved', 'lead'), null);
+    // Withdrawing your own draft is fine
+    assert.strictEqual(getReviewError(draft, 'rejected', 'intern'), null);
+    assert.strictEqual(getReviewError(null, 'approved', 'lead').status, 404);
+});
+
+test('a draft is reviewed once and its audit trail records each step', (t) => {
+    useTempDir(t);
+    const draft = createDraft(draftFields, 'intern');
+
+    const approved = reviewDraft(draft.id, 'approved', { by: 'lead', comment: 'Ship it' });
+    assert.strictEqual(approved.status, 'approved');
+    assert.strictEqual(approved.reviewedBy, 'lead');
+
+    // A second approval that passed its checks before the first was stored does not go through
+    assert.strictEqual(reviewDraft(draft.id, 'approved', { by: 'ops' }), null);
+    assert.deepStrictEqual(getReviewError(getDraft(draft.id), 'rejected', 'ops'), {
+        status: 409,
+        error: 'Draft is already approved'
+    });
+
+    const failed = recordDraftResult(draft.id, { error: 'Not an admin in this group' });
+    assert.strictEqual(failed.status, 'failed');
+    assert.deepStrictEqual(failed.audit.map(entry => [entry.action, entry.by]), [
+        ['requested', 'intern'],
+        ['approved', 'lead'],
+        ['failed', 'lead']
+    ]);
+});
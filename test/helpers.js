@@ -0,0 +1,18 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Run a test in a fresh temporary directory, so the JSON files modules keep in the
+// working directory start empty. The directory is removed when the test ends.
+const useTempDir = (t, prefix = 'whatsapp-bot-') => {
+    const cwd = process.cwd();
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    process.chdir(directory);
+    t.after(() => {
+        process.chdir(cwd);
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    return directory;
+};
+
+module.exports = { useTempDir };
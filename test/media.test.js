@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const { isBlockedAddress, downloadMedia } = require('../media');
+
+// Answer http.request with the given responses in turn, recording each call
+const mockRequests = (t, responses) => t.mock.method(http, 'request', (url, options, callback) => {
+    const request = new EventEmitter();
+    request.end = () => setImmediate(() => callback(responses.shift()));
+    return request;
+});
+
+const createResponse = (statusCode, headers = {}) => Object.assign(Readable.from([]), { statusCode, headers });
+
+test('loopback, private, link-local and mapped addresses are blocked', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '64:ff9b::7f00:1', '2002:7f00:1::1']) {
+        assert.strictEqual(isBlockedAddress(address), true, address);
+    }
+});
+
+test('public addresses are allowed', () => {
+    for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8']) {
+        assert.strictEqual(isBlockedAddress(address), false, address);
+    }
+});
+
+test('media URLs pointing at non-public hosts are refused before connecting', async (t) => {
+    let received = 0;
+    const server = http.createServer((req, res) => {
+        received += 1;
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const { port } = server.address();
+
+    for (const url of [`http://127.0.0.1:${port}/a.png`, `http://localhost:${port}/a.png`, 'http://[::1]/a.png', 'http://169.254.169.254/latest/meta-data']) {
+        const result = await downloadMedia({ url, sendAs: 'auto' });
+        assert.strictEqual(result.status, 400, url);
+        assert.match(result.error, /not allowed/);
+    }
+    assert.strictEqual(received, 0);
+});
+
+test('the connection uses the checked address even if the host resolves elsewhere later', async (t) => {
+    t.mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }]);
+    // What a DNS-rebinding host would answer the second time it is asked
+    t.mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, '127.0.0.1', 4));
+    const response = createResponse(404);
+    t.mock.method(response, 'destroy');
+    const request = mockRequests(t, [response]);
+
+    const result = await downloadMedia({ url: 'http://media.example/image.png', sendAs: 'auto' });
+    assert.strictEqual(result.status, 422);
+    assert.match(result.error, /answered 404/);
+    // The unread body of the error answer is thrown away
+    assert.strictEqual(response.destroy.mock.callCount(), 1);
+
+    const { lookup } = request.mock.calls[0].arguments[1];
+    const addresses = await new Promise(resolve => lookup('media.example', { all: true }, (error, list) => resolve(list)));
+    assert.deepStrictEqual(addresses, [{ address: '93.184.216.34', family: 4 }]);
+});
+
+test('a redirect to a non-public host is refused', async (t) => {
+    const request = mockRequests(t, [createResponse(302, { location: 'http://127.0.0.1:8080/admin' })]);
+
+    const result = await downloadMedia({ url: 'http://93.184.216.34/image.png', sendAs: 'auto' });
+    assert.strictEqual(result.status, 400);
+    assert.match(result.error, /127\.0\.0\.1/);
+    assert.strictEqual(request.mock.callCount(), 1);
+});
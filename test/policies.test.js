@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { checkPolicy } = require('../policies');
+const { recordDelivery } = require('../delivery-log');
+const { useTempDir } = require('./helpers');
+
+const group = { id: { _serialized: 'announcements@g.us' }, name: 'Announcements' };
+
+const usePolicies = (t, policies) => {
+    useTempDir(t);
+    fs.writeFileSync('./policies.json', JSON.stringify(policies));
+};
+
+test('only the listed keys may send or schedule to a group', (t) => {
+    usePolicies(t, [{ name: 'announcements', groupNames: ['Announcements'], allowedSenders: ['ops'], allowedSchedulers: ['ops', 'planner'] }]);
+
+    assert.strictEqual(checkPolicy({ group, apiKey: 'ops', action: 'send' }).allowed, true);
+    assert.deepStrictEqual(checkPolicy({ group, apiKey: 'planner', action: 'send' }), {
+        allowed: false,
+        policy: 'announcements',
+        reason: 'API key "planner" may not send messages to "Announcements" (policy "announcements")'
+    });
+    assert.strictEqual(checkPolicy({ group, apiKey: 'planner', action: 'schedule' }).allowed, true);
+    assert.strictEqual(checkPolicy({ group: { ...group, name: 'Other' }, apiKey: 'planner', action: 'send' }).policy, null);
+});
+
+test('the daily limit counts messages sent to the group today', (t) => {
+    usePolicies(t, [{ name: 'quiet', namePattern: '*', maxMessagesPerDay: 1, allowedAttachmentTypes: ['image/*'] }]);
+
+    assert.strictEqual(checkPolicy({ group, apiKey: 'ops', action: 'send' }).allowed, true);
+    assert.strictEqual(checkPolicy({ group, apiKey: 'ops', action: 'send', attachments: [{ mimetype: 'image/png' }] }).allowed, true);
+    assert.strictEqual(checkPolicy({ group, apiKey: 'ops', action: 'send', attachments: [{ mimetype: 'application/pdf' }] }).allowed, false);
+
+    recordDelivery({ groupId: 'announcements@g.us', groupName: 'Announcements', status: 'sent' });
+    recordDelivery({ groupId: 'announcements@g.us', groupName: 'Announcements', status: 'failed' });
+
+    assert.strictEqual(checkPolicy({ group, apiKey: 'ops', action: 'send' }).allowed, false);
+    // Scheduling is checked against the limit when the message goes out, not now
+    assert.strictEqual(checkPolicy({ group, apiKey: 'ops', action: 'schedule' }).allowed, true);
+});
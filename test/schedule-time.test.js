@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { zonedTimeToUtc, parseSendAt, getCronRuns } = require('../schedule-time');
+
+// Clocks in New York jumped from 02:00 EST to 03:00 EDT on 2025-03-09
+const springForward = { year: 2025, month: 3, day: 9 };
+
+test('wall-clock times around the DST jump convert to their own instants', () => {
+    assert.strictEqual(zonedTimeToUtc({ ...springForward, hour: 1, minute: 30 }, 'America/New_York').toISOString(), '2025-03-09T06:30:00.000Z');
+    assert.strictEqual(zonedTimeToUtc({ ...springForward, hour: 3, minute: 30 }, 'America/New_York').toISOString(), '2025-03-09T07:30:00.000Z');
+});
+
+test('a wall-clock time skipped by the DST jump moves forward, not back', () => {
+    // 02:30 does not exist that day; it is sent at 03:30 EDT instead of 01:30 EST
+    assert.strictEqual(zonedTimeToUtc({ ...springForward, hour: 2, minute: 30 }, 'America/New_York').toISOString(), '2025-03-09T07:30:00.000Z');
+    assert.strictEqual(parseSendAt('2025-03-09T02:30:00', 'America/New_York').toISOString(), '2025-03-09T07:30:00.000Z');
+});
+
+test('cron runs at a time skipped by the DST jump are left out', () => {
+    const runs = getCronRuns('30 2 * * *', {
+        timezone: 'America/New_York',
+        after: new Date('2025-03-07T12:00:00.000Z'),
+        count: 3
+    });
+
+    assert.deepStrictEqual(runs.map(run => run.toISOString()), [
+        '2025-03-08T07:30:00.000Z',
+        '2025-03-10T06:30:00.000Z',
+        '2025-03-11T06:30:00.000Z'
+    ]);
+});
+
+// Clocks in New York fell back from 02:00 EDT to 01:00 EST on 2025-11-02, so 01:30 happened twice
+test('cron runs in a task time zone fire once at a time repeated by the DST change', () => {
+    const runs = getCronRuns('30 1 * * *', {
+        timezone: 'America/New_York',
+        after: new Date('2025-11-01T12:00:00.000Z'),
+        count: 2
+    });
+
+    assert.deepStrictEqual(runs.map(run => run.toISOString()), [
+        '2025-11-02T05:30:00.000Z',
+        '2025-11-03T06:30:00.000Z'
+    ]);
+});
+
+test('cron runs in the server zone fire at both instants of a repeated time', (t) => {
+    const serverZone = process.env.TZ;
+    process.env.TZ = 'America/New_York';
+    t.after(() => {
+        if (serverZone === undefined) {
+            delete process.env.TZ;
+        } else {
+            process.env.TZ = serverZone;
+        }
+    });
+
+    const runs = getCronRuns('*/30 1 * * *', {
+        after: new Date('2025-11-02T05:15:00.000Z'),
+        count: 4
+    });
+
+    // 01:30 EDT, then 01:00 and 01:30 EST
+    assert.deepStrictEqual(runs.map(run => run.toISOString()), [
+        '2025-11-02T05:30:00.000Z',
+        '2025-11-02T06:00:00.000Z',
+        '2025-11-02T06:30:00.000Z',
+        '2025-11-03T06:00:00.000Z'
+    ]);
+});
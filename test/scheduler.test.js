@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScheduler, getMissedRuns, isSingleSessionTask, loadScheduleData, saveScheduleData } = require('../scheduler');
+const { DEFAULT_SESSION_ID } = require('../session-manager');
+const { useTempDir } = require('./helpers');
+
+// An hourly task that last ran at 08:00 UTC, was paused then and resumed at 09:05
+const pausedTask = {
+    id: 'paused',
+    groupName: 'Group',
+    message: 'Hourly update',
+    cron: '0 * * * *',
+    timezone: 'UTC',
+    status: 'active',
+    createdAt: '2025-03-01T07:30:00.000Z',
+    lastRunAt: '2025-03-01T08:00:00.000Z',
+    resumedAt: '2025-03-01T09:05:00.000Z'
+};
+
+test('getMissedRuns skips runs from the paused window', () => {
+    const now = new Date('2025-03-01T09:10:00.000Z');
+    assert.deepStrictEqual(getMissedRuns(pausedTask, now), []);
+});
+
+test('getMissedRuns still reports runs missed after resuming', () => {
+    const now = new Date('2025-03-01T10:10:00.000Z');
+    assert.deepStrictEqual(getMissedRuns(pausedTask, now).map(run => run.toISOString()), ['2025-03-01T10:00:00.000Z']);
+});
+
+test('getMissedRuns counts from the last run when it is newer than the resume', () => {
+    const task = { ...pausedTask, lastRunAt: '2025-03-01T10:00:00.000Z' };
+    const now = new Date('2025-03-01T11:10:00.000Z');
+    assert.deepStrictEqual(getMissedRuns(task, now).map(run => run.toISOString()), ['2025-03-01T11:00:00.000Z']);
+});
+
+test('getMissedRuns does not send a one-off task whose time passed while paused', () => {
+    const task = { ...pausedTask, cron: null, sendAt: '2025-03-01T08:30:00.000Z', lastRunAt: null };
+    assert.deepStrictEqual(getMissedRuns(task, new Date('2025-03-01T09:10:00.000Z')), []);
+});
+
+test('resumeTask records when the task was resumed', (t) => {
+    useTempDir(t);
+
+    const scheduler = createScheduler({ runTask: async () => true });
+    scheduler.addTask({ ...pausedTask, resumedAt: undefined });
+    scheduler.pauseTask('paused');
+
+    const before = Date.now();
+    const task = scheduler.resumeTask('paused');
+    scheduler.cancelTask('paused');
+
+    assert.strictEqual(task.status, 'active');
+    assert.ok(new Date(task.resumedAt).getTime() >= before);
+    assert.deepStrictEqual(getMissedRuns(task, new Date(task.resumedAt)), []);
+});
+
+test('tasks canRun refuses are neither started, caught up nor expired', async (t) => {
+    useTempDir(t);
+    const sendAt = new Date(Date.now() - 60 * 1000).toISOString();
+    saveScheduleData([
+        { id: 'broadcast', type: 'broadcast', groupName: null, target: { all: true }, message: 'Hi', sendAt, catchUp: 'skip', status: 'active' },
+        { id: 'work', sessionId: 'work', groupName: 'Group', message: 'Hi', sendAt, catchUp: 'skip', status: 'active' }
+    ]);
+
+    const runs = [];
+    const scheduler = createScheduler({ runTask: async (task) => runs.push(task.id), canRun: isSingleSessionTask });
+    scheduler.rehydrate(DEFAULT_SESSION_ID);
+    await scheduler.catchUpMissedRuns(DEFAULT_SESSION_ID);
+
+    assert.deepStrictEqual(runs, []);
+    assert.deepStrictEqual(loadScheduleData().map(task => task.status), ['active', 'active']);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createApiKey } = require('../auth');
+const { createScheduler } = require('../scheduler');
+const { createSharedRoutes } = require('../shared-routes');
+const { useTempDir } = require('./helpers');
+
+// Serve the shared routes on a free port; resolves to a request helper taking a key
+const startServer = async (t, options) => {
+    const app = express();
+    app.use(express.json());
+    app.use(createSharedRoutes(options));
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    t.after(() => server.close());
+
+    return async (method, path, { key = null, body } = {}) => {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+            method,
+            headers: { 'content-type': 'application/json', ...(key ? { authorization: `Bearer ${key}` } : {}) },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+};
+
+const setup = async (t) => {
+    useTempDir(t);
+    t.mock.method(console, 'log', () => {});
+    const scheduler = createScheduler({ runTask: async () => true });
+    const request = await startServer(t, { scheduler, listGroups: async () => [] });
+    const keys = {
+        viewer: createApiKey({ name: 'dashboard', role: 'viewer' }).key,
+        sender: createApiKey({ name: 'bot', role: 'sender' }).key,
+        admin: createApiKey({ name: 'ops', role: 'admin' }).key
+    };
+    return { scheduler, request, keys };
+};
+
+test('pause and resume need the sender role', async (t) => {
+    const { scheduler, request, keys } = await setup(t);
+    scheduler.addTask({ id: 'daily', groupName: 'Group', message: 'Hi', cron: '0 9 * * *' });
+    t.after(() => scheduler.cancelTask('daily'));
+
+    assert.strictEqual((await request('POST', '/api/messages/scheduled/daily/pause')).status, 401);
+    assert.strictEqual((await request('POST', '/api/messages/scheduled/daily/pause', { key: 'wa_unknown' })).status, 401);
+
+    const refused = await request('POST', '/api/messages/scheduled/daily/pause', { key: keys.viewer });
+    assert.strictEqual(refused.status, 403);
+    assert.strictEqual(scheduler.getTask('daily').status, 'active');
+
+    const paused = await request('POST', '/api/messages/scheduled/daily/pause', { key: keys.sender });
+    assert.strictEqual(paused.status, 200);
+    assert.strictEqual(paused.body.task.status, 'paused');
+    assert.strictEqual(scheduler.isRunning('daily'), false);
+
+    const resumed = await request('POST', '/api/messages/scheduled/daily/resume', { key: keys.sender });
+    assert.strictEqual(resumed.body.task.status, 'active');
+    assert.strictEqual(scheduler.isRunning('daily'), true);
+});
+
+test('API keys are managed by admins only, who cannot revoke their own key', async (t) => {
+    const { request, keys } = await setup(t);
+
+    assert.strictEqual((await request('GET', '/api/keys', { key: keys.sender })).status, 403);
+
+    const listed = await request('GET', '/api/keys', { key: keys.admin });
+    assert.deepStrictEqual(listed.body.keys.map(key => key.name), ['dashboard', 'bot', 'ops']);
+    assert.ok(listed.body.keys.every(key => key.keyHash === undefined));
+
+    const own = listed.body.keys.find(key => key.name === 'ops');
+    assert.strictEqual((await request('DELETE', `/api/keys/${own.id}`, { key: keys.admin })).status, 400);
+
+    const created = await request('POST', '/api/keys', { key: keys.admin, body: { name: 'ci', role: 'viewer' } });
+    assert.strictEqual(created.status, 200);
+    assert.strictEqual((await request('GET', '/api/policies', { key: created.body.key })).status, 200);
+});
+
+test('previews list upcoming runs without storing a task', async (t) => {
+    const { request, keys } = await setup(t);
+
+    const preview = await request('POST', '/api/schedules/preview', {
+        key: keys.viewer,
+        body: { cronTime: '0 9 * * *', timezone: 'UTC', count: 3 }
+    });
+    assert.strictEqual(preview.status, 200);
+    assert.strictEqual(preview.body.nextRuns.length, 3);
+    assert.ok(preview.body.nextRuns.every(run => run.endsWith('T09:00:00.000Z')));
+    assert.strictEqual((await request('GET', '/api/messages/history', { key: keys.viewer })).body.count, 0);
+});
+
+test('previews list a time repeated when clocks go back once, as node-cron sends it', async (t) => {
+    const { request, keys } = await setup(t);
+
+    // New York falls back from 02:00 EDT to 01:00 EST on 2030-11-03
+    const preview = await request('POST', '/api/schedules/preview', {
+        key: keys.viewer,
+        body: { cronTime: '30 1 * * *', timezone: 'America/New_York', startDate: '2030-11-03T00:00:00', count: 2 }
+    });
+    assert.strictEqual(preview.status, 200);
+    assert.deepStrictEqual(preview.body.nextRuns, ['2030-11-03T05:30:00.000Z', '2030-11-04T06:30:00.000Z']);
+});
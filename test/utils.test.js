@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { isUserAdmin, isTaskCreatorAdmin } = require('../utils');
+const { createScheduler } = require('../scheduler');
+const { useTempDir } = require('./helpers');
+
+const SELF_ID = '15550000001@c.us';
+
+// A client logged in as SELF_ID and a group where SELF_ID is an admin
+const client = { info: { wid: { _serialized: SELF_ID } } };
+const group = {
+    name: 'Family Chat',
+    participants: [
+        { id: { _serialized: SELF_ID }, isAdmin: true, isSuperAdmin: false },
+        { id: { _serialized: '15550000002@c.us' }, isAdmin: false, isSuperAdmin: false }
+    ]
+};
+
+test('a legacy task without createdBy is checked against the sending account', async (t) => {
+    useTempDir(t);
+    t.mock.method(console, 'log', () => {});
+    // Written before tasks had ids, statuses or creators
+    fs.writeFileSync('./schedule.json', JSON.stringify([
+        { groupName: 'Family Chat', message: 'Good morning, fam! ☀️', cron: '0 9 * * *' }
+    ]));
+
+    const scheduler = createScheduler({ runTask: async () => true });
+    scheduler.rehydrate();
+    const [task] = scheduler.listTasks();
+    t.after(() => scheduler.cancelTask(task.id));
+
+    assert.ok(scheduler.isRunning(task.id));
+    assert.strictEqual(task.createdBy, undefined);
+    assert.strictEqual(await isTaskCreatorAdmin(client, group, task), true);
+});
+
+test('a task with createdBy is checked against its creator', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    assert.strictEqual(await isTaskCreatorAdmin(client, group, { createdBy: SELF_ID }), true);
+    assert.strictEqual(await isTaskCreatorAdmin(client, group, { createdBy: '15550000002@c.us' }), false);
+});
+
+test('group super admins count as admins and people outside the group do not', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const owned = {
+        ...group,
+        participants: [{ id: { _serialized: '15550000003@c.us' }, isAdmin: false, isSuperAdmin: true }]
+    };
+
+    assert.strictEqual(await isUserAdmin(client, owned, '15550000003@c.us'), true);
+    assert.strictEqual(await isUserAdmin(client, owned, SELF_ID), false);
+    assert.strictEqual(await isUserAdmin(client, { name: 'Empty' }, SELF_ID), false);
+});
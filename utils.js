@@ -1,6 +1,37 @@
-async function findGroupByName(client, name) {
-    const chats = await client.getChats();
-    return chats.find(chat => chat.isGroup && chat.name === name);
+const { describeGroup } = require('./group-directory');
+
+// Resolve the group a request points at through the group directory, preferring
+// the stable groupId over the display name.
+// Returns { group } or { status, error } ready to send back as an HTTP error.
+async function resolveGroup(groups, { groupId, groupName }) {
+    if (groupId) {
+        const group = await groups.getById(groupId);
+        return group
+            ? { group }
+            : { status: 404, error: `Group with id "${groupId}" not found` };
+    }
+
+    const matches = await groups.findByName(groupName);
+
+    if (matches.length === 0) {
+        // Suggest close names so a typo is easy to spot
+        const suggestions = await groups.search(groupName, 5);
+        return {
+            status: 404,
+            error: `Group "${groupName}" not found`,
+            candidates: suggestions.length ? suggestions.map(({ group }) => describeGroup(group)) : undefined
+        };
+    }
+
+    if (matches.length > 1) {
+        return {
+            status: 409,
+            error: `${matches.length} groups are named "${groupName}". Use groupId to choose one.`,
+            candidates: matches.map(describeGroup)
+        };
+    }
+
+    return { group: matches[0] };
 }
 
 async function isUserAdmin(client, group, userId) {
@@ -37,4 +68,10 @@ async function isUserAdmin(client, group, userId) {
     }
 }
 
-module.exports = { findGroupByName, isUserAdmin };
+// Check that the account a scheduled task acts for is still an admin of its group:
+// the task's creator, or the sending account for tasks stored before creators were recorded
+async function isTaskCreatorAdmin(client, group, task) {
+    return isUserAdmin(client, group, task.createdBy || client.info.wid._serialized);
+}
+
+module.exports = { resolveGroup, isUserAdmin, isTaskCreatorAdmin };
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const { parseList } = require('./broadcast');
+const { getMediaItems } = require('./media');
+
+// sequential: in order, starting over after the last one
+// random: random order without repeats until every variant has been sent once
+// weighted: random every time, in proportion to each variant's weight
+const VARIANT_MODES = ['sequential', 'random', 'weighted'];
+
+const MAX_VARIANTS = 50;
+
+// Parse the variants (a JSON array or JSON string) and variantMode of a request body.
+// Each variant is { message, weight?, media? }; media lists file names of the
+// request's attachments (fileNames) that are only sent with that variant.
+// Returns { error } or { variants, variantMode }; no variants gives { variants: null }.
+const parseVariants = (body, fileNames = []) => {
+    const { variantMode = 'sequential' } = body || {};
+    let variants = body && body.variants;
+
+    if (variants === undefined || variants === null || variants === '') {
+        return { variants: null, variantMode: null };
+    }
+
+    if (typeof variants === 'string') {
+        try {
+            variants = JSON.parse(variants);
+        } catch (error) {
+            return { error: 'variants must be a JSON array, e.g. [{"message": "Good morning!"}]' };
+        }
+    }
+
+    if (!Array.isArray(variants) || variants.length === 0) {
+        return { error: 'variants must be a non-empty JSON array, e.g. [{"message": "Good morning!"}]' };
+    }
+    if (variants.length > MAX_VARIANTS) {
+        return { error: `A task can have at most ${MAX_VARIANTS} variants` };
+    }
+    if (!VARIANT_MODES.includes(variantMode)) {
+        return { error: `variantMode must be one of: ${VARIANT_MODES.join(', ')}` };
+    }
+
+    const parsed = [];
+    for (const [index, variant] of variants.entries()) {
+        // A plain string is a text-only variant
+        const { message, weight = 1, media } = typeof variant === 'string' ? { message: variant } : (variant || {});
+        const mediaNames = parseList(media);
+
+        if (!message && mediaNames.length === 0) {
+            return { error: `Variant ${index + 1} needs a message or media` };
+        }
+        if (message !== undefined && typeof message !== 'string') {
+            return { error: `Variant ${index + 1} message must be a string` };
+        }
+
+        const variantWeight = Number(weight);
+        if (!Number.isFinite(variantWeight) || variantWeight <= 0) {
+            return { error: `Variant ${index + 1} weight must be a positive number` };
+        }
+
+        const unknown = mediaNames.filter(name => !fileNames.includes(name));
+        if (unknown.length > 0) {
+            return { error: `Variant ${index + 1} refers to media that was not uploaded: ${unknown.join(', ')}` };
+        }
+
+        parsed.push({ message: message || '', weight: variantWeight, mediaNames });
+    }
+
+    return { variants: parsed, variantMode };
+};
+
+// Split stored attachments between the variants that name them in media and the
+// task itself. items (media items) line up with files. Returns { variants, media },
+// where media are the attachments no variant claimed, sent with every variant.
+const assignVariantMedia = (variants, files, items) => {
+    const itemsByName = new Map(files.map((file, index) => [file.originalname, items[index]]));
+    const claimed = new Set(variants.flatMap(variant => variant.mediaNames));
+
+    return {
+        variants: variants.map(({ mediaNames, ...variant }) => ({
+            ...variant,
+            media: mediaNames.map(name => itemsByName.get(name))
+        })),
+        media: items.filter((item, index) => !claimed.has(files[index].originalname))
+    };
+};
+
+const shuffle = (items, random) => {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+};
+
+// Choose the variant a task sends next. Returns { variant, changes }: the variant
+// with its index, and the rotation state to store on the task once it was sent.
+const pickVariant = (task, random = Math.random) => {
+    const { variants } = task;
+    const count = variants.length;
+    let index;
+    const changes = {};
+
+    if (task.variantMode === 'weighted') {
+        const total = variants.reduce((sum, variant) => sum + (variant.weight || 1), 0);
+        let point = random() * total;
+        index = variants.findIndex(variant => {
+            point -= variant.weight || 1;
+            return point < 0;
+        });
+        // Guards against rounding at the very end of the range
+        if (index === -1) {
+            index = count - 1;
+        }
+    } else if (task.variantMode === 'random') {
+        let bag = (task.variantBag || []).filter(bagIndex => bagIndex < count);
+        if (bag.length === 0) {
+            bag = shuffle([...Array(count).keys()], random);
+            // Do not send the same variant twice in a row across rounds
+            if (count > 1 && bag[0] === task.lastVariantIndex) {
+                bag.push(bag.shift());
+            }
+        }
+        index = bag[0];
+        changes.variantBag = bag.slice(1);
+    } else {
+        index = (task.variantPosition || 0) % count;
+        changes.variantPosition = (index + 1) % count;
+    }
+
+    changes.lastVariantIndex = index;
+    return { variant: { ...variants[index], index }, changes };
+};
+
+// The attachments one send of a task includes: the task's own plus those of the picked variant
+const getVariantMedia = (task, variant = null) => [
+    ...getMediaItems(task),
+    ...(variant ? getMediaItems(variant) : [])
+];
+
+// The files of every attachment a task may send: its own and those of its variants
+const getTaskMediaPaths = (task) => [
+    ...getMediaItems(task),
+    ...(task.variants || []).flatMap(getMediaItems)
+].map(item => item.path);
+
+// Delete the files of every attachment a task may send, once it is deleted or finished
+const removeTaskMedia = (task) => {
+    getTaskMediaPaths(task).forEach(mediaPath => {
+        if (fs.existsSync(mediaPath)) {
+            fs.unlinkSync(mediaPath);
+        }
+    });
+};
+
+module.exports = { VARIANT_MODES, parseVariants, assignVariantMedia, pickVariant, getVariantMedia, getTaskMediaPaths, removeTaskMedia };
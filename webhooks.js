@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const { parseList } = require('./broadcast');
+const { appendLogEntry, readLogEntries } = require('./jsonl-log');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+const WEBHOOKS_FILE = './webhooks.json';
+const DELIVERY_LOG_FILE = './webhook-deliveries.jsonl';
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = ['message', 'group_join', 'group_leave', 'group_admin_changed', 'message_ack'];
+
+// Most attempts a single delivery query returns
+const MAX_QUERY_LIMIT = 1000;
+
+const DEFAULT_OPTIONS = {
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    // First retry delay; doubles after each failed attempt
+    baseBackoffMs: Number(process.env.WEBHOOK_BACKOFF_MS) || 5000,
+    maxBackoffMs: Number(process.env.WEBHOOK_MAX_BACKOFF_MS) || 5 * 60 * 1000,
+    // How long a receiver may take to answer one attempt
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000
+};
+
+const loadWebhooks = () => readJsonFile(WEBHOOKS_FILE);
+const saveWebhooks = (webhooks) => writeJsonFile(WEBHOOKS_FILE, webhooks);
+
+// Public view of a webhook, without its signing secret
+const describeWebhook = ({ secret, ...webhook }) => webhook;
+
+// Validate a new webhook. Returns { error } or { webhook } without id and secret.
+const parseWebhook = (body) => {
+    const { url, description } = body || {};
+    const events = parseList(body && body.events);
+
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        return { error: 'url must be a valid http or https URL' };
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+        return { error: 'url must be a valid http or https URL' };
+    }
+
+    if (events.length === 0) {
+        return { error: `events is required. Use any of: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+        return { error: `Unknown event(s): ${unknown.join(', ')}. Use any of: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+
+    return {
+        webhook: {
+            url: parsedUrl.toString(),
+            events,
+            // Empty filters match every group or session
+            groupIds: parseList(body.groupIds),
+            groupNames: parseList(body.groupNames),
+            sessionIds: parseList(body.sessionIds),
+            description: description || ''
+        }
+    };
+};
+
+// Store a webhook with a fresh signing secret. The secret is only returned here.
+const createWebhook = (fields, createdBy = null) => {
+    const webhooks = loadWebhooks();
+    const webhook = {
+        id: Date.now().toString(),
+        ...fields,
+        secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+        createdAt: new Date().toISOString(),
+        createdBy
+    };
+
+    webhooks.push(webhook);
+    saveWebhooks(webhooks);
+    return webhook;
+};
+
+const deleteWebhook = (id) => {
+    const webhooks = loadWebhooks();
+    const remaining = webhooks.filter(webhook => webhook.id !== id);
+
+    if (remaining.length === webhooks.length) {
+        return false;
+    }
+    saveWebhooks(remaining);
+    return true;
+};
+
+// Whether a webhook wants an event about a group of a session
+const matchesWebhook = (webhook, event, { groupId = null, groupName = null, sessionId = null } = {}) => {
+    if (!webhook.events.includes(event)) {
+        return false;
+    }
+    if (webhook.sessionIds.length > 0 && !webhook.sessionIds.includes(sessionId)) {
+        return false;
+    }
+    if (webhook.groupIds.length === 0 && webhook.groupNames.length === 0) {
+        return true;
+    }
+    return webhook.groupIds.includes(groupId) || webhook.groupNames.includes(groupName);
+};
+
+// Receivers check this over "<timestamp>.<raw body>" with their copy of the secret
+const signPayload = (secret, timestamp, body) => {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Append one delivery attempt to the log. Entries are never rewritten.
+const recordAttempt = (entry) => appendLogEntry(DELIVERY_LOG_FILE, entry, 'webhook delivery log');
+
+// Find logged attempts of one webhook, newest first
+const queryAttempts = ({ webhookId, limit = 100 } = {}) => {
+    return readLogEntries(DELIVERY_LOG_FILE)
+        .filter(entry => !webhookId || entry.webhookId === webhookId)
+        .reverse()
+        .slice(0, Math.min(limit, MAX_QUERY_LIMIT));
+};
+
+// Create a dispatcher that POSTs events to every matching webhook as signed JSON.
+// Failed attempts (network errors, timeouts and non-2xx answers) are retried with
+// exponential backoff; every attempt is logged.
+const createWebhookDispatcher = (overrides = {}) => {
+    const options = { ...DEFAULT_OPTIONS, ...overrides };
+    const stats = { delivered: 0, retried: 0, failed: 0 };
+    let inFlight = 0;
+
+    const attempt = async (webhook, delivery, attemptNumber) => {
+        const body = JSON.stringify(delivery);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const startedAt = Date.now();
+        const entry = {
+            webhookId: webhook.id,
+            deliveryId: delivery.id,
+            event: delivery.event,
+            url: webhook.url,
+            attempt: attemptNumber,
+            statusCode: null,
+            error: null
+        };
+
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'whatsapp-gc-messaging-webhooks',
+                    'X-Webhook-Id': webhook.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+                },
+                body,
+                signal: AbortSignal.timeout(options.timeoutMs)
+            });
+            entry.statusCode = response.status;
+            if (!response.ok) {
+                entry.error = `Receiver answered ${response.status}`;
+            }
+        } catch (error) {
+            entry.error = error.name === 'TimeoutError' ? `Timed out after ${options.timeoutMs}ms` : error.message;
+        }
+        entry.durationMs = Date.now() - startedAt;
+
+        if (!entry.error) {
+            stats.delivered += 1;
+            recordAttempt({ ...entry, status: 'delivered' });
+            return;
+        }
+
+        if (attemptNumber >= options.maxAttempts) {
+            stats.failed += 1;
+            recordAttempt({ ...entry, status: 'failed' });
+            console.log(`❌ Webhook ${webhook.id} gave up on ${delivery.event} ${delivery.id} after ${attemptNumber} attempt(s): ${entry.error}`);
+            return;
+        }
+
+        const delay = Math.min(options.baseBackoffMs * 2 ** (attemptNumber - 1), options.maxBackoffMs);
+        stats.retried += 1;
+        recordAttempt({ ...entry, status: 'retrying', nextAttemptAt: new Date(Date.now() + delay).toISOString() });
+
+        inFlight += 1;
+        setTimeout(() => {
+            inFlight -= 1;
+            // The webhook may have been deleted while waiting
+            const current = loadWebhooks().find(stored => stored.id === webhook.id);
+            if (current) {
+                attempt(current, delivery, attemptNumber + 1);
+            }
+        }, delay);
+    };
+
+    // Send an event to the webhooks that want it. Resolves once each has had its
+    // first attempt; retries carry on in the background.
+    const dispatch = async (event, data, scope = {}) => {
+        const webhooks = loadWebhooks().filter(webhook => matchesWebhook(webhook, event, scope));
+        if (webhooks.length === 0) {
+            return 0;
+        }
+
+        const delivery = {
+            id: `${Date.now()}-${Math.round(Math.random() * 1E9)}`,
+            event,
+            at: new Date().toISOString(),
+            data
+        };
+
+        inFlight += webhooks.length;
+        await Promise.all(webhooks.map(webhook => attempt(webhook, delivery, 1).finally(() => {
+            inFlight -= 1;
+        })));
+        return webhooks.length;
+    };
+
+    const getState = () => ({
+        inFlight,
+        ...stats,
+        options: { ...options }
+    });
+
+    return { dispatch, getState };
+};
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    loadWebhooks,
+    describeWebhook,
+    parseWebhook,
+    createWebhook,
+    deleteWebhook,
+    queryAttempts,
+    signPayload,
+    createWebhookDispatcher
+};
@@ -0,0 +1,84 @@
+const QRCode = require('qrcode');
+
+// States the WhatsApp session moves through, in the order they normally happen
+const SESSION_STATES = ['initializing', 'awaiting_qr', 'authenticating', 'ready', 'disconnected', 'auth_failed'];
+
+const QR_FORMATS = ['png', 'svg', 'dataurl'];
+
+// Track the login state of the WhatsApp client so it can be reported over the
+// API: the current state and why we are in it, the latest QR code while one is
+// waiting to be scanned and the progress of the loading screen.
+const createSessionState = () => {
+    let state = 'initializing';
+    let since = new Date();
+    let reason = null;
+    let qr = null;
+    let qrReceivedAt = null;
+    let loading = null;
+    let connectionState = null;
+
+    const setState = (nextState, { reason: nextReason = null } = {}) => {
+        if (!SESSION_STATES.includes(nextState)) {
+            throw new Error(`Unknown session state "${nextState}"`);
+        }
+
+        if (nextState !== state) {
+            state = nextState;
+            since = new Date();
+        }
+        reason = nextReason;
+
+        // A QR code is only good until it is scanned or the session changes
+        if (nextState !== 'awaiting_qr') {
+            qr = null;
+            qrReceivedAt = null;
+        }
+        if (nextState === 'initializing') {
+            loading = null;
+            connectionState = null;
+        }
+    };
+
+    // WhatsApp rotates the QR code every few seconds; keep the newest one
+    const setQr = (code) => {
+        setState('awaiting_qr');
+        qr = code;
+        qrReceivedAt = new Date();
+    };
+
+    const setLoading = (percent, message) => {
+        loading = { percent: Number(percent), message: message || null };
+    };
+
+    // The raw WhatsApp Web connection state (CONNECTED, CONFLICT, ...)
+    const setConnectionState = (value) => {
+        connectionState = value;
+    };
+
+    const getQr = () => qr;
+
+    const getStatus = () => ({
+        state,
+        since: since.toISOString(),
+        reason,
+        qrAvailable: Boolean(qr),
+        qrReceivedAt: qrReceivedAt ? qrReceivedAt.toISOString() : null,
+        loading,
+        connectionState
+    });
+
+    return { setState, setQr, setLoading, setConnectionState, getQr, getStatus };
+};
+
+// Render a QR code as a PNG buffer, an SVG string or a data URL
+const renderQr = (code, format) => {
+    if (format === 'png') {
+        return QRCode.toBuffer(code, { type: 'png', width: 300, margin: 2 });
+    }
+    if (format === 'svg') {
+        return QRCode.toString(code, { type: 'svg', margin: 2 });
+    }
+    return QRCode.toDataURL(code, { width: 300, margin: 2 });
+};
+
+module.exports = { SESSION_STATES, QR_FORMATS, createSessionState, renderQr };